@@ -0,0 +1,54 @@
+const { EventEmitter } = require('events');
+
+// Stand-in for a client socket so bots go through exactly the same event
+// handlers as people do. Rooms do not apply: bots read the game state
+// directly instead of listening to broadcasts. The only reply a bot cares
+// about is action-error, which tells it its last action was refused.
+class BotSocket extends EventEmitter {
+    constructor(id) {
+        super();
+        this.id = id;
+        this.middlewares = [];
+        this.lastError = null;
+    }
+
+    use(middleware) {
+        this.middlewares.push(middleware);
+        return this;
+    }
+
+    // Server -> bot
+    emit(event, payload) {
+        if (event === 'action-error') {
+            this.lastError = payload;
+        }
+        return true;
+    }
+
+    // Bot -> server: run the middlewares and handlers registered for the
+    // event, as if a client had sent it. Returns the action-error it caused, if any.
+    send(event, data) {
+        this.lastError = null;
+
+        // A middleware that does not call next drops the event, as in Socket.IO
+        const accepted = this.middlewares.every(middleware => {
+            let passed = false;
+            middleware([event, data], () => { passed = true; });
+            return passed;
+        });
+        if (accepted) {
+            super.emit(event, data);
+        }
+        return this.lastError;
+    }
+
+    join() {}
+
+    leave() {}
+
+    to() {
+        return { to() { return this; }, emit: () => true };
+    }
+}
+
+module.exports = BotSocket;
@@ -0,0 +1,359 @@
+const {
+    BUILDING_COSTS,
+    BUILDING_RULES,
+    RESOURCE_TYPES,
+    TILE_RESOURCES,
+    GAME_PHASES
+} = require('../utils/gameConstants');
+const boardTopology = require('../utils/boardTopology');
+const {
+    getBuildingAt,
+    canAfford,
+    extendsNetworkFrom,
+    validateSettlementPlacement,
+    validateRoadPlacement,
+    validateCityPlacement
+} = require('../utils/placementRules');
+const { getTradeRatio } = require('../utils/harbors');
+const { getPlayCardError } = require('../utils/developmentCards');
+const { randomInt } = require('../utils/random');
+const { countCards } = require('../utils/cards');
+
+// Decisions for server-side bots. Nothing here changes the game: the chosen
+// action is sent through the normal socket handlers, which validate it like
+// any other player's.
+//   easy    picks any legal option at random and never trades with the bank
+//   medium  prefers the most productive spots and takes fair trades
+//   hard    also values new resources and harbors, trades with the bank
+//           toward its next build and plays knights to chase the robber off
+
+function getTileMap(gameState) {
+    return new Map(gameState.rowTiles.flat().map(tile => [tile.id, tile]));
+}
+
+// Dots on a number token: how many of the 36 dice outcomes roll it
+function getPips(number) {
+    return number ? 6 - Math.abs(7 - number) : 0;
+}
+
+// Expected production around a vertex, in pips per resource
+function getVertexProduction(tileMap, vertexId) {
+    return boardTopology.getAdjacentTiles(vertexId).reduce((production, tileId) => {
+        const tile = tileMap.get(tileId);
+        const resource = tile && TILE_RESOURCES[tile.type];
+        if (resource && !tile.hasRobber) {
+            production[resource] = (production[resource] || 0) + getPips(tile.number);
+        }
+        return production;
+    }, {});
+}
+
+function getPlayerProduction(tileMap, player) {
+    const production = {};
+    [...player.settlements, ...player.cities].forEach(building => {
+        Object.entries(getVertexProduction(tileMap, building.vertexId)).forEach(([resource, pips]) => {
+            production[resource] = (production[resource] || 0) + pips;
+        });
+    });
+    return production;
+}
+
+function scoreVertex(gameState, tileMap, player, vertexId, difficulty) {
+    const production = getVertexProduction(tileMap, vertexId);
+    const total = countCards(production);
+    if (difficulty !== 'hard') return total;
+
+    const produced = getPlayerProduction(tileMap, player);
+    const newResources = Object.keys(production).filter(resource => !produced[resource]).length;
+    const harbor = (gameState.harbors || []).some(h => h.vertices.includes(vertexId)) ? 2 : 0;
+    return total + 2 * newResources + harbor;
+}
+
+// Easy bots pick at random, the others take the best scoring option
+function pickOption(options, score, difficulty, random) {
+    if (options.length === 0) return null;
+    if (difficulty === 'easy') return options[randomInt(random, options.length)];
+    return options.reduce((best, option) => score(option) > score(best) ? option : best);
+}
+
+function isOpenSpot(gameState, player, vertexId) {
+    return !validateSettlementPlacement(gameState, player, vertexId, { isSetup: true });
+}
+
+// Open spots the player could settle, ignoring cost. Outside setup they
+// must touch one of the player's roads.
+function getSettlementSpots(gameState, player, isSetup) {
+    const ownRoads = new Set(player.roads.map(r => r.edgeId));
+    return boardTopology.getAllVertexIds().filter(vertexId =>
+        isOpenSpot(gameState, player, vertexId) &&
+        (isSetup || boardTopology.getVertex(vertexId).edges.some(edgeId => ownRoads.has(edgeId)))
+    );
+}
+
+// How promising a road is: the best spot at its far end, or half of the best
+// spot one step further
+function scoreRoad(gameState, tileMap, player, edgeId, difficulty) {
+    const [vertexA, vertexB] = boardTopology.getEdge(edgeId).vertices;
+    const far = extendsNetworkFrom(gameState, player, vertexA) ? vertexB : vertexA;
+    const spotScore = vertexId => isOpenSpot(gameState, player, vertexId)
+        ? scoreVertex(gameState, tileMap, player, vertexId, difficulty)
+        : 0;
+
+    return Math.max(
+        spotScore(far),
+        ...boardTopology.getVertex(far).adjacentVertices.map(vertexId => spotScore(vertexId) / 2)
+    );
+}
+
+function chooseSetupSettlement(gameState, player, difficulty, random) {
+    const tileMap = getTileMap(gameState);
+    return pickOption(
+        getSettlementSpots(gameState, player, true),
+        vertexId => scoreVertex(gameState, tileMap, player, vertexId, difficulty),
+        difficulty,
+        random
+    );
+}
+
+function chooseSetupRoad(gameState, player, vertexId, difficulty, random) {
+    const tileMap = getTileMap(gameState);
+    const edges = boardTopology.getVertex(vertexId).edges.filter(edgeId =>
+        !validateRoadPlacement(gameState, player, edgeId, { isSetup: true })
+    );
+    return pickOption(
+        edges,
+        edgeId => scoreRoad(gameState, tileMap, player, edgeId, difficulty),
+        difficulty,
+        random
+    );
+}
+
+function getMissingCards(player, building) {
+    return Object.entries(BUILDING_COSTS[building]).reduce((missing, [resource, amount]) => {
+        const short = amount - (player.resources[resource] || 0);
+        if (short > 0) missing[resource] = short;
+        return missing;
+    }, {});
+}
+
+// What the bot is saving for: the reachable build it is closest to affording
+function getBuildGoal(game, player) {
+    const gameState = game.gameState;
+    const candidates = [];
+
+    if (player.settlements.length > 0 && player.cities.length < BUILDING_RULES.CITY.maxPerPlayer) {
+        candidates.push('CITY');
+    }
+    if (player.settlements.length < BUILDING_RULES.SETTLEMENT.maxPerPlayer) {
+        if (getSettlementSpots(gameState, player, false).length > 0) {
+            candidates.push('SETTLEMENT');
+        } else if (player.roads.length < BUILDING_RULES.ROAD.maxPerPlayer) {
+            candidates.push('ROAD');
+        }
+    }
+    if (game.developmentDeck && game.developmentDeck.length > 0) {
+        candidates.push('DevelopmentCard');
+    }
+
+    return candidates
+        .map(building => ({ building, missing: getMissingCards(player, building) }))
+        .reduce((best, goal) =>
+            !best || countCards(goal.missing) < countCards(best.missing) ? goal : best, null);
+}
+
+function chooseBuild(game, player, difficulty, random) {
+    const gameState = game.gameState;
+    const tileMap = getTileMap(gameState);
+    const roadScore = edgeId => scoreRoad(gameState, tileMap, player, edgeId, difficulty);
+    const vertexScore = vertexId => scoreVertex(gameState, tileMap, player, vertexId, difficulty);
+    const legalRoads = free => boardTopology.getAllEdgeIds().filter(edgeId =>
+        !validateRoadPlacement(gameState, player, edgeId, { free })
+    );
+
+    // Free roads from a road building card are placed before anything else
+    if (gameState.freeRoads > 0) {
+        const edgeId = pickOption(legalRoads(true), roadScore, difficulty, random);
+        return edgeId ? { event: 'build-road', data: { edgeId } } : null;
+    }
+
+    const cities = player.settlements
+        .map(s => s.vertexId)
+        .filter(vertexId => !validateCityPlacement(gameState, player, vertexId));
+    if (cities.length > 0) {
+        return { event: 'build-city', data: { vertexId: pickOption(cities, vertexScore, difficulty, random) } };
+    }
+
+    const spots = getSettlementSpots(gameState, player, false);
+    const settlements = spots.filter(vertexId => !validateSettlementPlacement(gameState, player, vertexId));
+    if (settlements.length > 0) {
+        return { event: 'build-settlement', data: { vertexId: pickOption(settlements, vertexScore, difficulty, random) } };
+    }
+
+    // Only build roads toward new spots, not while one is already reachable
+    if (spots.length === 0 && canAfford(player, 'ROAD')) {
+        const edgeId = pickOption(legalRoads(false), roadScore, difficulty, random);
+        if (edgeId && (difficulty === 'easy' || roadScore(edgeId) > 0)) {
+            return { event: 'build-road', data: { edgeId } };
+        }
+    }
+
+    if (game.developmentDeck && game.developmentDeck.length > 0 && canAfford(player, 'DevelopmentCard')) {
+        return { event: 'buy-development-card' };
+    }
+
+    return null;
+}
+
+// Trade one spare lot with the bank for a card the next build is missing
+function chooseBankTrade(game, player, difficulty) {
+    if (difficulty !== 'hard') return null;
+
+    const goal = getBuildGoal(game, player);
+    const wanted = goal && Object.keys(goal.missing)[0];
+    if (!wanted) return null;
+
+    const cost = BUILDING_COSTS[goal.building];
+    const spare = RESOURCE_TYPES.find(resource =>
+        resource !== wanted &&
+        player.resources[resource] - (cost[resource] || 0) >= getTradeRatio(game.gameState, player, resource)
+    );
+    return spare ? { tradingAway: { [spare]: 1 }, receiving: { [wanted]: 1 } } : null;
+}
+
+// Block the richest opponent tile away from the bot's own buildings and
+// rob the opponent there holding the most cards
+function chooseRobberMove(gameState, player, difficulty, random) {
+    const buildingsAround = tile => boardTopology.getTile(tile.id).vertices
+        .map(vertexId => getBuildingAt(gameState, vertexId))
+        .filter(Boolean);
+
+    const tiles = gameState.rowTiles.flat().filter(tile => !tile.hasRobber);
+    const tile = pickOption(tiles, candidate => buildingsAround(candidate).reduce((score, building) => {
+        if (building.player === player) return score - 100;
+        return score + getPips(candidate.number) * (building.type === 'city' ? 2 : 1) + building.player.points;
+    }, 0), difficulty, random);
+
+    const victims = [...new Set(buildingsAround(tile).map(building => building.player))]
+        .filter(other => other !== player && countCards(other.resources) > 0);
+    const victim = pickOption(victims, other => countCards(other.resources), difficulty, random);
+
+    return { tileId: tile.id, targetPlayerId: victim ? victim.id : null };
+}
+
+// The `amount` cards the server asked for. Easy bots drop random cards, the
+// others always drop from their biggest pile.
+function chooseDiscard(player, amount, difficulty, random) {
+    const resources = { ...player.resources };
+    const discarded = {};
+
+    for (let i = amount; i > 0; i--) {
+        const held = RESOURCE_TYPES.filter(resource => resources[resource] > 0);
+        const resource = difficulty === 'easy'
+            ? held[randomInt(random, held.length)]
+            : held.reduce((most, next) => resources[next] > resources[most] ? next : most);
+        resources[resource] -= 1;
+        discarded[resource] = (discarded[resource] || 0) + 1;
+    }
+
+    return discarded;
+}
+
+// Whether to accept another player's offer. tradeOffer.requesting is what
+// the bot would give and tradeOffer.offering what it would get.
+function shouldAcceptTrade(game, player, tradeOffer, difficulty, random) {
+    const giving = tradeOffer.requesting || {};
+    const getting = tradeOffer.offering || {};
+
+    const canPay = Object.entries(giving).every(([resource, amount]) =>
+        !(amount > 0) || (player.resources[resource] || 0) >= amount
+    );
+    if (!canPay) return false;
+    if (difficulty === 'easy') return randomInt(random, 2) === 0;
+
+    if (countCards(getting) === 0 || countCards(getting) < countCards(giving)) return false;
+    if (difficulty === 'medium') return true;
+
+    // Hard bots only take cards they are missing and keep what they need
+    const goal = getBuildGoal(game, player);
+    if (!goal) return false;
+    const cost = BUILDING_COSTS[goal.building];
+    return Object.keys(getting).some(resource => getting[resource] > 0 && goal.missing[resource]) &&
+        Object.entries(giving).every(([resource, amount]) =>
+            !(amount > 0) || player.resources[resource] - amount >= (cost[resource] || 0)
+        );
+}
+
+// Play a knight before rolling when the robber sits next to the bot
+function shouldPlayKnight(gameState, player, difficulty) {
+    if (difficulty !== 'hard' || getPlayCardError(gameState, player, 'knight')) return false;
+
+    const robberTile = gameState.rowTiles.flat().find(tile => tile.hasRobber);
+    return Boolean(robberTile) && boardTopology.getTile(robberTile.id).vertices.some(vertexId =>
+        getBuildingAt(gameState, vertexId)?.player === player
+    );
+}
+
+// The next action for a bot as { event, data }, or null when it has to wait
+// for someone else. `random` is the bot's own generator, never the game's:
+// bots deliberate on every pass, and drawing from the game's would shift its
+// dice and steals.
+function decideAction(game, playerName, difficulty, random) {
+    const gameState = game.gameState;
+    if (game.status !== 'playing' || !gameState || !gameState.players) return null;
+
+    const player = gameState.players.find(p => p.name === playerName);
+    if (!player) return null;
+
+    // Owed discards come first, whoever's turn it is
+    const discardPhase = game.discardPhase;
+    if (discardPhase && discardPhase.playersNeedingToDiscard.includes(playerName) &&
+        !discardPhase.playersCompleted.includes(playerName)) {
+        return {
+            event: 'complete-discard',
+            data: { discardedResources: chooseDiscard(player, discardPhase.discardAmounts[playerName], difficulty, random) }
+        };
+    }
+
+    // Nothing else happens until everyone has discarded and the robber has moved
+    if (discardPhase) return null;
+    const isCurrentPlayer = gameState.players[gameState.currentPlayerIndex] === player;
+    if (gameState.robberMovePending) {
+        return isCurrentPlayer ? { event: 'move-robber', data: chooseRobberMove(gameState, player, difficulty, random) } : null;
+    }
+
+    // Answer the open trade offers made to this bot
+    const openTrade = Array.from(game.pendingTrades ? game.pendingTrades.values() : []).find(trade =>
+        trade.status === 'pending' &&
+        trade.toPlayers.includes(playerName) &&
+        !trade.acceptances.some(response => response.playerName === playerName)
+    );
+    if (openTrade) {
+        const accept = shouldAcceptTrade(game, player, openTrade, difficulty, random);
+        return { event: accept ? 'accept-player-trade' : 'reject-player-trade', data: { tradeId: openTrade.id } };
+    }
+
+    if (!isCurrentPlayer) return null;
+
+    if (gameState.gamePhase === GAME_PHASES.SETUP) {
+        const settlementVertexId = gameState.setup.settlementVertexId;
+        if (!settlementVertexId) {
+            const vertexId = chooseSetupSettlement(gameState, player, difficulty, random);
+            return vertexId ? { event: 'build-settlement', data: { vertexId } } : null;
+        }
+        const edgeId = chooseSetupRoad(gameState, player, settlementVertexId, difficulty, random);
+        return edgeId ? { event: 'build-road', data: { edgeId } } : null;
+    }
+
+    if (!gameState.hasRolled) {
+        return shouldPlayKnight(gameState, player, difficulty) ? { event: 'play-knight' } : { event: 'roll-dice' };
+    }
+
+    const trade = chooseBankTrade(game, player, difficulty);
+    if (trade) return { event: 'bank-trade', data: trade };
+
+    return chooseBuild(game, player, difficulty, random) || { event: 'end-turn' };
+}
+
+module.exports = {
+    decideAction
+};
@@ -1,9 +1,57 @@
 const express = require('express');
 const http = require('http');
 const path = require('path');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const { BUILDING_COSTS } = require('./utils/gameConstants');
+const {
+  BUILDING_COSTS,
+  BUILDING_RULES,
+  RESOURCE_TYPES,
+  TRADE_RATIOS,
+  GAME_PHASES,
+  BOT_DIFFICULTIES,
+  PLAYER_COUNT,
+  PLAYER_COLORS,
+  TILE_RESOURCES
+} = require('./utils/gameConstants');
+const boardTopology = require('./utils/boardTopology');
+const {
+  getBuildingAt,
+  validateSettlementPlacement,
+  validateRoadPlacement,
+  validateCityPlacement,
+  canAfford
+} = require('./utils/placementRules');
+const {
+  createDevelopmentDeck,
+  createPlayedCardsTally,
+  getPlayCardError,
+  consumeCard
+} = require('./utils/developmentCards');
+const { determineLongestRoadHolder } = require('./utils/longestRoad');
+const {
+  updatePoints,
+  hasWon,
+  getStandings,
+  getScoreBreakdown,
+  determineLargestArmyHolder
+} = require('./utils/scoring');
+const { getTradeRatio } = require('./utils/harbors');
+const { createGameStore, serializeGame, deserializeGame, getSnapshotError } = require('./storage');
+const { getReplayableState, createActionLog, recordAction, replayTo } = require('./utils/actionLog');
+const { createRandom, randomInt, shuffle } = require('./utils/random');
+const { countCards } = require('./utils/cards');
+const {
+  getPublicPlayer,
+  getPublicGameState,
+  getPayloadForViewer
+} = require('./utils/publicView');
+const { getSyncState, getStatePatch, withoutFullState } = require('./utils/stateSync');
+const { getOfferError, getTradeRecipients, exchangeCards } = require('./utils/playerTrades');
+const { validateEventPayload } = require('./utils/eventSchemas');
+const BotSocket = require('./bots/BotSocket');
+const { decideAction } = require('./bots/strategy');
 require('dotenv').config();
 
 const app = express();
@@ -38,12 +86,195 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Lobby and state inspection for tooling. Live games come from memory; a
+// finished game may only be left in the game store, so those are read from
+// there too when asked for by id or with ?status=ended.
+const GAME_STATUSES = ['waiting', 'playing', 'ended'];
+
+app.get('/api/games', async (req, res) => {
+  const { status } = req.query;
+  if (status !== undefined && !GAME_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${GAME_STATUSES.join(', ')}` });
+  }
+
+  const storedGames = status === 'ended'
+    ? (await gameStore.list())
+      .filter(snapshot => snapshot.status === 'ended' && !games.has(snapshot.id))
+      .map(deserializeGame)
+    : [];
+
+  // Private games are reached through their invite code, never listed
+  res.json([...games.values(), ...storedGames]
+    .filter(game => !game.isPrivate && (!status || game.status === status))
+    .map(getGameSummary));
+});
+
+// Create a lobby. Nobody is connected yet, so the host seat is held like a
+// dropped player's: the caller claims it by sending rejoin-game with the
+// returned session token before the grace period runs out.
+app.post('/api/games', (req, res) => {
+  const error = validateEventPayload('create-game', req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const { playerName, ...options } = req.body;
+  const { game, seat } = createGame(playerName, options);
+  holdSeat(game, seat);
+  saveGame(game);
+  broadcastGamesList();
+
+  console.log(`Game ${game.id} created over HTTP for ${playerName}`);
+  res.status(201).json({
+    gameId: game.id,
+    sessionToken: seat.sessionToken,
+    inviteCode: game.inviteCode,
+    gameData: getPublicGameView(game)
+  });
+});
+
+// What an invite link leads to, so a client can show the lobby and ask for
+// the password before sending join-game
+app.get('/api/invites/:code', (req, res) => {
+  const game = findGameToEnter(null, req.params.code);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  res.json({
+    gameId: game.id,
+    host: game.host,
+    players: game.players.map(p => p.name),
+    maxPlayers: game.maxPlayers,
+    status: game.status,
+    requiresPassword: Boolean(game.password)
+  });
+});
+
+app.get('/api/games/:id', async (req, res) => {
+  const game = await findGame(req.params.id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  res.json(getPublicGameView(game));
+});
+
+// A player's public stats: board pieces, points and card counts, never their hand
+app.get('/api/games/:id/players/:name', async (req, res) => {
+  const game = await findGame(req.params.id);
+  const seat = game && game.players.find(p => p.name === req.params.name);
+  const player = game && game.gameState?.players?.find(p => p.name === req.params.name);
+  if (!game || (!seat && !player)) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
+
+  const stats = {
+    name: req.params.name,
+    gameId: game.id,
+    isHost: game.host === req.params.name,
+    isBot: Boolean(seat && seat.isBot),
+    connected: Boolean(seat && seat.connected)
+  };
+
+  if (player) {
+    const publicPlayer = getPublicPlayer(player);
+    const { victoryPointCards, ...score } = getScoreBreakdown(game.gameState, player);
+    Object.assign(stats, {
+      points: player.points,
+      // Victory point cards stay hidden until the game is over
+      score: game.status === 'ended' ? { victoryPointCards, ...score } : { ...score, total: player.points },
+      settlements: player.settlements.length,
+      cities: player.cities.length,
+      roads: player.roads.length,
+      longestRoadLength: player.longestRoadLength || 0,
+      knightsPlayed: player.playedCards.knight,
+      resourceCount: publicPlayer.resourceCount,
+      developmentCardCount: publicPlayer.developmentCardCount
+    });
+  }
+
+  res.json(stats);
+});
+
+// Download the action log of a finished game for post-game review, or just
+// its state after a given number of events with ?at=<event index>
+app.get('/api/games/:id/replay', async (req, res) => {
+  const game = await findGame(req.params.id);
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  // The log holds every hand and the deck order, so it stays private until the end
+  if (game.status !== 'ended') {
+    return res.status(409).json({ error: 'Replays are available once the game has ended' });
+  }
+
+  if (!game.actionLog) {
+    return res.status(404).json({ error: 'No action log was recorded for this game' });
+  }
+
+  if (req.query.at !== undefined) {
+    const eventIndex = Number(req.query.at);
+    try {
+      return res.json({
+        gameId: game.id,
+        eventIndex,
+        totalEvents: game.actionLog.events.length,
+        state: replayTo(game.actionLog, eventIndex)
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+  }
+
+  res.attachment(`${game.id}-replay.json`);
+  res.json({
+    gameId: game.id,
+    seed: game.random ? game.random.seed : null,
+    players: game.players.map(p => p.name),
+    winner: game.winner || null,
+    endedAt: game.endedAt || null,
+    ...game.actionLog
+  });
+});
+
 // Game state storage
 const games = new Map(); // gameId -> game data
 const playerSockets = new Map(); // socketId -> player info
+const spectatorSockets = new Map(); // socketId -> { gameId } for sockets watching a game
+const disconnectTimers = new Map(); // `${gameId}:${playerName}` -> timeout holding a dropped player's seat
+const patchSubscribers = new Set(); // socketIds that connected with auth { statePatches: true }
+
+// A duration from the environment in milliseconds. 0 is a valid setting;
+// only a missing, empty or negative value falls back to the default.
+function readDuration(name, fallback) {
+  const value = process.env[name];
+  const duration = value === undefined || value.trim() === '' ? NaN : Number(value);
+  return Number.isFinite(duration) && duration >= 0 ? duration : fallback;
+}
+
+// How long a dropped player's seat is held before they are removed from the game
+const RECONNECT_GRACE_PERIOD_MS = readDuration('RECONNECT_GRACE_PERIOD_MS', 60000);
 
-// Generate random board state for Catan
-function generateBoardState() {
+// Server-side bot players
+const bots = new Map(); // bot socketId -> { socket, gameId, playerName, difficulty, random, failedAttempt }
+const botTimers = new Map(); // gameId -> timeout for the game's next bot action
+// Pause before each bot action so people can follow what the bots do
+const BOT_ACTION_DELAY_MS = readDuration('BOT_ACTION_DELAY_MS', 800);
+
+// How long a trade offer stays open without being taken
+const TRADE_EXPIRY_MS = readDuration('TRADE_EXPIRY_MS', 60000);
+const tradeTimers = new Map(); // tradeId -> timeout expiring the offer
+
+// Durable copy of every game so a restart doesn't lose games in progress
+const gameStore = createGameStore();
+
+// Seed for every new game's random numbers, so tests can pin boards and dice
+const GAME_SEED = process.env.GAME_SEED || undefined; // an empty GAME_SEED= line means unset
+
+// Generate random board state for Catan from the game's seeded generator
+function generateBoardState(random) {
   // Catan tile distribution: 4 forest, 4 pasture, 4 field, 3 hill, 3 mountain, 1 desert
   const tileTypes = [
     'forest', 'forest', 'forest', 'forest',
@@ -57,18 +288,8 @@ function generateBoardState() {
   // Number tokens (excluding 7 for desert)
   const numberTokens = [2, 3, 3, 4, 4, 5, 5, 6, 6, 8, 8, 9, 9, 10, 10, 11, 11, 12];
 
-  // Shuffle arrays using Fisher-Yates algorithm
-  function shuffle(array) {
-    const shuffled = [...array];
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-    }
-    return shuffled;
-  }
-
-  const shuffledTiles = shuffle(tileTypes);
-  const shuffledNumbers = shuffle(numberTokens);
+  const shuffledTiles = shuffle(random, tileTypes);
+  const shuffledNumbers = shuffle(random, numberTokens);
 
   // Generate tiles with numbers (desert gets no number and starts with robber)
   const tiles = [];
@@ -97,57 +318,89 @@ function generateBoardState() {
   rowTiles[4] = tiles.slice(16, 19)
 
 
+  // Harbors sit at fixed coastal positions
+  const harbors = boardTopology.HARBOR_LAYOUT.map(harbor => ({
+    ...harbor,
+    vertices: [...harbor.vertices],
+    ratio: harbor.type === 'general' ? TRADE_RATIOS.general : TRADE_RATIOS.resource
+  }));
+
   return {
     rowTiles,
+    harbors,
     robberPosition: tiles.findIndex(tile => tile.hasRobber),
     timestamp: Date.now()
   };
 }
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
+// Socket.io connection handling. Bots are connected through this same
+// function with a BotSocket so they play by exactly the same handlers.
+io.on('connection', handleConnection);
+
+function handleConnection(socket) {
   console.log('User connected:', socket.id);
 
+  // Clients that keep their state up to date from state-patch events get
+  // game events without the full state attached
+  if (socket.handshake && socket.handshake.auth && socket.handshake.auth.statePatches === true) {
+    patchSubscribers.add(socket.id);
+  }
+
+  // Check every inbound payload against its event's schema before any
+  // handler sees it, including that players only act as themselves
+  socket.use(([event, data], next) => {
+    const playerInfo = playerSockets.get(socket.id);
+    const error = validateEventPayload(event, data, { playerName: playerInfo ? playerInfo.playerName : null });
+    if (error) {
+      emitActionError(socket, event, error);
+      return;
+    }
+    next();
+  });
+
   // Handle creating a new game
   socket.on('create-game', (data) => {
-    const { playerName } = data;
-    const gameId = generateGameId();
-
-    const gameData = {
-      id: gameId,
-      host: playerName,
-      players: [{ name: playerName, socketId: socket.id }],
-      maxPlayers: 4,
-      status: 'waiting', // waiting, playing, ended
-      created: new Date().toISOString(),
-      gameState: null // Will store the actual game state when game starts
-    };
+    const { playerName, ...options } = data;
+    stopSpectating(socket);
 
-    games.set(gameId, gameData);
-    playerSockets.set(socket.id, { playerName, gameId, isHost: true });
+    const { game, seat } = createGame(playerName, options);
+    seat.socketId = socket.id;
+    playerSockets.set(socket.id, { playerName, gameId: game.id, isHost: true });
 
     // Join the game room
-    socket.join(gameId);
+    socket.join(game.id);
+
+    // Send game created confirmation along with the token needed to rejoin later
+    socket.emit('game-created', {
+      gameId: game.id,
+      gameData: getPublicGameData(game),
+      sessionToken: seat.sessionToken,
+      inviteCode: game.inviteCode
+    });
 
-    // Send game created confirmation
-    socket.emit('game-created', { gameId, gameData });
+    saveGame(game);
 
     // Broadcast updated games list to all clients
     broadcastGamesList();
 
-    console.log(`Game ${gameId} created by ${playerName}`);
+    console.log(`Game ${game.id} created by ${playerName}`);
   });
 
   // Handle joining an existing game
   socket.on('join-game', (data) => {
-    const { gameId, playerName } = data;
-    const game = games.get(gameId);
+    const { gameId, inviteCode, playerName, password } = data;
+    const game = findGameToEnter(gameId, inviteCode);
 
     if (!game) {
       socket.emit('join-error', { message: 'Game not found' });
       return;
     }
 
+    if (!checkGamePassword(game, password)) {
+      socket.emit('join-error', { message: 'Incorrect password' });
+      return;
+    }
+
     if (game.status !== 'waiting') {
       socket.emit('join-error', { message: 'Game has already started' });
       return;
@@ -164,26 +417,194 @@ io.on('connection', (socket) => {
     }
 
     // Add player to game
-    game.players.push({ name: playerName, socketId: socket.id });
-    playerSockets.set(socket.id, { playerName, gameId, isHost: false });
+    stopSpectating(socket);
+    const sessionToken = generateSessionToken();
+    game.players.push({
+      name: playerName,
+      socketId: socket.id,
+      sessionToken,
+      connected: true,
+      ready: false,
+      color: getFreeColor(game)
+    });
+    playerSockets.set(socket.id, { playerName, gameId: game.id, isHost: false });
 
     // Join the game room
-    socket.join(gameId);
+    socket.join(game.id);
 
-    // Send success response to the joining player
-    socket.emit('join-success', { gameData: game });
+    // Send success response to the joining player along with the token needed to rejoin later
+    socket.emit('join-success', { gameData: getPublicGameData(game), sessionToken, inviteCode: game.inviteCode });
 
     // Notify all players in the game about the new player
-    io.to(gameId).emit('player-joined', {
-      playerName,
-      players: game.players,
-      gameData: game
-    });
+    emitLobbyUpdate(game, 'player-joined', { playerName });
+    saveGame(game);
 
     // Broadcast updated games list to all clients
     broadcastGamesList();
 
-    console.log(`${playerName} joined game ${gameId}`);
+    console.log(`${playerName} joined game ${game.id}`);
+  });
+
+  // Fill an open seat in the lobby with a server-side bot
+  socket.on('add-bot', (data) => {
+    const { difficulty = 'medium' } = data || {};
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo || !playerInfo.isHost) {
+      emitActionError(socket, 'add-bot', 'Only the host can add bots');
+      return;
+    }
+
+    const game = games.get(playerInfo.gameId);
+    if (!game || game.status !== 'waiting') {
+      emitActionError(socket, 'add-bot', 'Bots can only be added before the game starts');
+      return;
+    }
+
+    if (game.players.length >= game.maxPlayers) {
+      emitActionError(socket, 'add-bot', 'Game is full');
+      return;
+    }
+
+    if (!BOT_DIFFICULTIES.includes(difficulty)) {
+      emitActionError(socket, 'add-bot', `Difficulty must be one of ${BOT_DIFFICULTIES.join(', ')}`);
+      return;
+    }
+
+    const seat = addBot(game, difficulty);
+    emitLobbyUpdate(game, 'player-joined', { playerName: seat.name });
+    saveGame(game);
+
+    broadcastGamesList();
+
+    console.log(`${seat.name} (${difficulty} bot) added to game ${game.id}`);
+  });
+
+  socket.on('remove-bot', (data) => {
+    const { playerName } = data || {};
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo || !playerInfo.isHost) {
+      emitActionError(socket, 'remove-bot', 'Only the host can remove bots');
+      return;
+    }
+
+    const game = games.get(playerInfo.gameId);
+    if (!game || game.status !== 'waiting') {
+      emitActionError(socket, 'remove-bot', 'Bots can only be removed before the game starts');
+      return;
+    }
+
+    if (!game.players.some(p => p.name === playerName && p.isBot)) {
+      emitActionError(socket, 'remove-bot', `${playerName} is not a bot in this game`);
+      return;
+    }
+
+    removePlayerFromGame(game.id, playerName);
+  });
+
+  // Mark yourself ready (or not) in the lobby; the host can only start once
+  // everyone else is ready
+  socket.on('set-ready', (data) => {
+    const { ready } = data;
+    const playerInfo = playerSockets.get(socket.id);
+    const game = playerInfo && games.get(playerInfo.gameId);
+    if (!game || game.status !== 'waiting') {
+      emitActionError(socket, 'set-ready', 'You are not in a lobby');
+      return;
+    }
+
+    const seat = game.players.find(p => p.name === playerInfo.playerName);
+    seat.ready = ready;
+    emitLobbyUpdate(game, 'player-ready', { playerName: seat.name, ready });
+    saveGame(game);
+  });
+
+  // Move to another seat (which sets turn order) and/or pick a color. Taking
+  // an occupied seat swaps places with whoever sits there.
+  socket.on('choose-seat', (data) => {
+    const { seatIndex, color } = data;
+    const playerInfo = playerSockets.get(socket.id);
+    const game = playerInfo && games.get(playerInfo.gameId);
+    if (!game || game.status !== 'waiting') {
+      emitActionError(socket, 'choose-seat', 'Seats can only be changed before the game starts');
+      return;
+    }
+
+    if (seatIndex !== undefined && seatIndex >= game.players.length) {
+      emitActionError(socket, 'choose-seat', `Seat ${seatIndex} does not exist`);
+      return;
+    }
+
+    const seat = game.players.find(p => p.name === playerInfo.playerName);
+    if (color && game.players.some(p => p !== seat && p.color === color)) {
+      emitActionError(socket, 'choose-seat', `${color} is already taken`);
+      return;
+    }
+
+    if (seatIndex !== undefined) {
+      const currentIndex = game.players.indexOf(seat);
+      [game.players[currentIndex], game.players[seatIndex]] = [game.players[seatIndex], game.players[currentIndex]];
+    }
+    if (color) {
+      seat.color = color;
+    }
+
+    emitLobbyUpdate(game, 'player-joined', { playerName: seat.name });
+    saveGame(game);
+  });
+
+  // Host removes someone from the lobby
+  socket.on('kick-player', (data) => {
+    const { playerName } = data;
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo || !playerInfo.isHost) {
+      emitActionError(socket, 'kick-player', 'Only the host can kick players');
+      return;
+    }
+
+    const game = games.get(playerInfo.gameId);
+    if (!game || game.status !== 'waiting') {
+      emitActionError(socket, 'kick-player', 'Players can only be kicked before the game starts');
+      return;
+    }
+
+    const seat = game.players.find(p => p.name === playerName);
+    if (!seat || seat.name === game.host) {
+      emitActionError(socket, 'kick-player', `${playerName} cannot be kicked`);
+      return;
+    }
+
+    // Cut the kicked player's connection to the game before the others hear about it
+    if (seat.socketId && !seat.isBot) {
+      playerSockets.delete(seat.socketId);
+      const kickedSocket = io.sockets.sockets.get(seat.socketId);
+      if (kickedSocket) {
+        kickedSocket.leave(game.id);
+        kickedSocket.emit('player-kicked', { gameId: game.id, timestamp: Date.now() });
+      }
+    }
+
+    removePlayerFromGame(game.id, playerName);
+    console.log(`${playerName} was kicked from game ${game.id}`);
+  });
+
+  // Host hands the host role to another person at the table
+  socket.on('transfer-host', (data) => {
+    const { playerName } = data;
+    const playerInfo = playerSockets.get(socket.id);
+    if (!playerInfo || !playerInfo.isHost) {
+      emitActionError(socket, 'transfer-host', 'Only the host can transfer the host role');
+      return;
+    }
+
+    const game = games.get(playerInfo.gameId);
+    const seat = game && game.players.find(p => p.name === playerName);
+    if (!seat || seat.isBot || !seat.connected || seat.name === game.host) {
+      emitActionError(socket, 'transfer-host', `${playerName} cannot become host`);
+      return;
+    }
+
+    setHost(game, playerName);
+    saveGame(game);
   });
 
   // Handle starting a game
@@ -200,8 +621,20 @@ io.on('connection', (socket) => {
       return;
     }
 
-    if (game.players.length < 2) {
-      socket.emit('start-error', { message: 'Need at least 2 players to start' });
+    if (game.status !== 'waiting') {
+      socket.emit('start-error', { message: 'Game has already started' });
+      return;
+    }
+
+    if (game.players.length < PLAYER_COUNT.min) {
+      socket.emit('start-error', { message: `Need at least ${PLAYER_COUNT.min} players to start` });
+      return;
+    }
+
+    // The host starting the game counts as their own ready
+    const notReady = game.players.filter(p => p.name !== game.host && !p.ready);
+    if (notReady.length > 0) {
+      socket.emit('start-error', { message: `Waiting for ${notReady.map(p => p.name).join(', ')} to be ready` });
       return;
     }
 
@@ -212,81 +645,280 @@ io.on('connection', (socket) => {
     const playerNames = game.players.map(p => p.name);
 
     // Generate shared board state
-    const boardState = generateBoardState();
+    const boardState = generateBoardState(game.random);
     game.gameState = boardState;
 
     // Notify all players that the game is starting
-    io.to(playerInfo.gameId).emit('game-started', {
+    emitToGame(playerInfo.gameId, 'game-started', {
       gameId: playerInfo.gameId,
       players: playerNames,
-      gameData: game,
+      gameData: getPublicGameData(game),
       boardState: boardState
     });
 
-    // Broadcast updated games list (game no longer visible in lobby)
-    broadcastGamesList();
-
     console.log(`Game ${playerInfo.gameId} started with players:`, playerNames);
 
     // Initialize game state tracking for this game
     initializeGameStateTracking(game);
-  });
 
-  // Handle game phase update
-  socket.on('game-phase-update', (data) => {
-    const { gameId, gamePhase } = data;
-    const game = games.get(gameId);
-    if (!game) return;
-    game.gameState.gamePhase = gamePhase;
+    // Every action from here on is recorded against this starting state,
+    // and each one moves the game to its next revision
+    createActionLog(game);
+    game.revision = 0;
+
+    // Broadcast updated games list (game moves from the lobby to the in-progress listing)
+    broadcastGamesList();
 
-    io.to(gameId).emit('game-phase-update', {
-      gameId: gameId,
-      gamePhase: gamePhase
+    // The server runs setup: announce the phase and who places first
+    const firstPlayer = getCurrentPlayer(game);
+    emitToGame(playerInfo.gameId, 'game-phase-update', {
+      gameId: playerInfo.gameId,
+      gamePhase: game.gameState.gamePhase,
+      currentPlayerIndex: game.gameState.currentPlayerIndex,
+      currentPlayerName: firstPlayer.name,
+      setupOrder: game.gameState.setup.order.map(index => game.gameState.players[index].name)
     });
+
+    // Give everyone the revision patches will build on
+    getGameViewers(game).forEach(({ socketId, viewerName }) => emitStateSync(game, socketId, viewerName));
+
+    saveGame(game);
+    scheduleBots(game);
+  });
+
+  // The game phase is owned by the server; clients can no longer change it
+  socket.on('game-phase-update', () => {
+    emitActionError(socket, 'game-phase-update', 'The game phase is controlled by the server');
   });
 
   // Handle leaving a game
   socket.on('leave-game', () => {
+    stopSpectating(socket);
     handlePlayerLeave(socket);
   });
 
+  // Watch a running game read-only. Spectators get the board and public
+  // player info (card counts instead of hands) plus every public game event.
+  // A password-protected game asks spectators for its password too.
+  socket.on('spectate-game', (data) => {
+    const { gameId, inviteCode, password } = data || {};
+    const game = findGameToEnter(gameId, inviteCode);
+
+    if (!game || game.status !== 'playing') {
+      socket.emit('spectate-error', { message: 'Game not found or not in progress' });
+      return;
+    }
+
+    if (!checkGamePassword(game, password)) {
+      socket.emit('spectate-error', { message: 'Incorrect password' });
+      return;
+    }
+
+    if (playerSockets.has(socket.id)) {
+      socket.emit('spectate-error', { message: 'Leave your current game before spectating' });
+      return;
+    }
+
+    stopSpectating(socket);
+    spectatorSockets.set(socket.id, { gameId: game.id });
+    socket.join(getSpectatorRoom(game.id));
+
+    socket.emit('spectate-success', {
+      gameId: game.id,
+      gameData: getPublicGameView(game),
+      gameState: getPublicGameState(game.gameState),
+      revision: game.revision,
+      timestamp: Date.now()
+    });
+
+    broadcastGamesList();
+    console.log(`Socket ${socket.id} is spectating game ${game.id}`);
+  });
+
+  socket.on('stop-spectating', () => {
+    stopSpectating(socket);
+  });
+
+  // Full snapshot of the game at its current revision, for a client that
+  // missed a patch (or never had the state)
+  socket.on('request-sync', () => {
+    const playerInfo = playerSockets.get(socket.id);
+    const spectator = spectatorSockets.get(socket.id);
+    const game = games.get(playerInfo ? playerInfo.gameId : spectator && spectator.gameId);
+    if (!game || !game.gameState || game.revision === undefined) {
+      emitActionError(socket, 'request-sync', 'There is no running game to sync with');
+      return;
+    }
+
+    emitStateSync(game, socket.id, playerInfo ? playerInfo.playerName : null);
+  });
+
+  // Handle a player coming back after their connection dropped
+  socket.on('rejoin-game', (data) => {
+    const { sessionToken } = data || {};
+    const game = sessionToken && Array.from(games.values()).find(g =>
+      g.players.some(p => p.sessionToken === sessionToken)
+    );
+
+    if (!game) {
+      socket.emit('rejoin-error', { message: 'No game found for this session' });
+      return;
+    }
+
+    const seat = game.players.find(p => p.sessionToken === sessionToken);
+
+    // One socket holds one seat at a time
+    const current = playerSockets.get(socket.id);
+    if (current && (current.gameId !== game.id || current.playerName !== seat.name)) {
+      socket.emit('rejoin-error', { message: 'Leave your current game before rejoining another' });
+      return;
+    }
+
+    clearDisconnectTimer(game.id, seat.name);
+
+    // A stale socket (e.g. another tab) gives up the seat to the new one
+    if (seat.socketId && seat.socketId !== socket.id) {
+      playerSockets.delete(seat.socketId);
+      io.sockets.sockets.get(seat.socketId)?.leave(game.id);
+    }
+
+    stopSpectating(socket);
+    seat.socketId = socket.id;
+    seat.connected = true;
+    playerSockets.set(socket.id, { playerName: seat.name, gameId: game.id, isHost: game.host === seat.name });
+    socket.join(game.id);
+    saveGame(game);
+
+    // Full resync so the client can rebuild its view
+    socket.emit('rejoin-success', getPayloadForViewer({
+      gameId: game.id,
+      playerName: seat.name,
+      isHost: game.host === seat.name,
+      gameData: getPublicGameData(game),
+      inviteCode: game.inviteCode,
+      gameState: game.gameState,
+      discardPhase: game.discardPhase || null,
+      pendingTrades: game.pendingTrades ? Array.from(game.pendingTrades.values()) : [],
+      revision: game.revision,
+      timestamp: Date.now()
+    }, seat.name));
+
+    socket.to(game.id).to(getSpectatorRoom(game.id)).emit('player-reconnected', {
+      playerName: seat.name,
+      timestamp: Date.now()
+    });
+
+    console.log(`${seat.name} rejoined game ${game.id}`);
+  });
+
   // Handle getting games list
   socket.on('get-games', () => {
-    const availableGames = Array.from(games.values())
-      .filter(game => game.status === 'waiting')
-      .map(game => ({
-        id: game.id,
-        host: game.host,
-        players: game.players.map(p => p.name),
-        maxPlayers: game.maxPlayers,
-        status: game.status,
-        created: game.created
-      }));
+    socket.emit('games-list', getOpenLobbies());
+  });
 
-    socket.emit('games-list', availableGames);
+  // Games that can be watched with spectate-game
+  socket.on('get-games-in-progress', () => {
+    socket.emit('games-in-progress', getGamesInProgress());
   });
 
-  // Game action handlers
-  socket.on('roll-dice', () => {
+  // Register a gameplay event handler. Whatever the handler changes in the
+  // game is appended to its action log; rejected actions change nothing and
+  // are not recorded.
+  function onGameAction(action, handler) {
+    socket.on(action, (data) => {
+      if (spectatorSockets.has(socket.id)) {
+        emitActionError(socket, action, 'Spectators cannot take part in the game');
+        return;
+      }
+
+      const playerInfo = playerSockets.get(socket.id);
+      const game = playerInfo && games.get(playerInfo.gameId);
+
+      const blockedBy = game && getPendingStep(game, action);
+      if (blockedBy) {
+        emitActionError(socket, action, blockedBy);
+        return;
+      }
+
+      const before = game && game.actionLog ? getReplayableState(game) : null;
+
+      handler(data);
+
+      // Only accepted actions change the game, so only they are saved and
+      // give the bots something new to react to
+      if (before && recordAction(game, before, { type: action, playerName: playerInfo.playerName, payload: data })) {
+        publishRevision(game, before);
+        saveGame(game);
+        scheduleBots(game);
+      }
+    });
+  }
+
+  // Resolve the game behind a turn-bound action and make sure the sender is the
+  // current player. Sends action-error and returns null if the action is not allowed.
+  function getTurnContext(action, { requireRoll = false, allowDuringSetup = true } = {}) {
     const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
+    if (!playerInfo) return null;
 
     const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+    if (!game || !game.gameState) return null;
+
+    if (game.status === 'ended') {
+      emitActionError(socket, action, `The game is over, ${game.winner} won`);
+      return null;
+    }
+    if (game.status !== 'playing') return null;
+
+    const currentPlayer = getCurrentPlayer(game);
+    if (!currentPlayer || currentPlayer.name !== playerInfo.playerName) {
+      emitActionError(socket, action, `It is not your turn (waiting for ${currentPlayer ? currentPlayer.name : 'another player'})`);
+      return null;
+    }
+
+    const setup = isSetupPhase(game);
+    if (setup && !allowDuringSetup) {
+      emitActionError(socket, action, 'This action is not available during setup');
+      return null;
+    }
+
+    if (!setup && requireRoll && !game.gameState.hasRolled) {
+      emitActionError(socket, action, 'You must roll the dice first');
+      return null;
+    }
+
+    return { playerInfo, game, player: currentPlayer };
+  }
+
+  // Game action handlers
+  onGameAction('roll-dice', () => {
+    const context = getTurnContext('roll-dice', { allowDuringSetup: false });
+    if (!context) return;
+    const { playerInfo, game } = context;
+
+    if (game.gameState.hasRolled) {
+      emitActionError(socket, 'roll-dice', 'You have already rolled this turn');
+      return;
+    }
 
     // Generate dice roll
-    const dice1 = Math.floor(Math.random() * 6) + 1;
-    const dice2 = Math.floor(Math.random() * 6) + 1;
+    const dice1 = randomInt(game.random, 6) + 1;
+    const dice2 = randomInt(game.random, 6) + 1;
     const total = dice1 + dice2;
+    game.gameState.hasRolled = true;
+    game.gameState.lastRoll = { dice1, dice2, total };
 
     // Handle resource distribution for dice roll
     if (total !== 7) {
       // Find all tiles with this number and distribute resources
       distributeResources(game, total);
+    } else {
+      // A 7 halves every hand over 7 cards, then the roller must move the robber
+      openDiscardPhase(game, playerInfo.playerName);
+      game.gameState.robberMovePending = true;
     }
 
     // Broadcast dice roll to all players with updated resources
-    io.to(playerInfo.gameId).emit('dice-rolled', {
+    emitToGame(playerInfo.gameId, 'dice-rolled', {
       playerName: playerInfo.playerName,
       dice1,
       dice2,
@@ -296,21 +928,47 @@ io.on('connection', (socket) => {
       timestamp: Date.now()
     });
 
-    console.log(`${playerInfo.playerName} rolled ${dice1} + ${dice2} = ${total}`);
-  });
+    if (game.discardPhase) {
+      emitToGame(playerInfo.gameId, 'discard-phase-started', {
+        playersNeedingToDiscard: game.discardPhase.playersNeedingToDiscard,
+        discardAmounts: game.discardPhase.discardAmounts,
+        rollerName: playerInfo.playerName,
+        playerResources: game.gameState.players,
+        timestamp: Date.now()
+      });
+    }
+
+    console.log(`${playerInfo.playerName} rolled ${dice1} + ${dice2} = ${total}`);
+  });
+
+  // Everyone holding more than 7 cards owes half of them (rounded down)
+  function openDiscardPhase(game, rollerName) {
+    const discardAmounts = {};
+    game.gameState.players.forEach(player => {
+      const cardCount = countCards(player.resources);
+      if (cardCount > 7 && !player.hasLeft) {
+        discardAmounts[player.name] = Math.floor(cardCount / 2);
+      }
+    });
+
+    const playersNeedingToDiscard = Object.keys(discardAmounts);
+    if (playersNeedingToDiscard.length === 0) return;
+
+    game.discardPhase = {
+      active: true,
+      playersNeedingToDiscard,
+      playersCompleted: [],
+      discardAmounts,
+      rollerName
+    };
+
+    console.log(`Discard phase started. Players needing to discard:`, discardAmounts);
+  }
 
   // Helper function to distribute resources based on dice roll
   function distributeResources(game, diceRoll) {
     if (!game.gameState || !game.gameState.rowTiles) return;
 
-    const resourceMap = {
-      'forest': 'wood',
-      'hill': 'brick',
-      'pasture': 'wool',
-      'field': 'grain',
-      'mountain': 'ore'
-    };
-
     console.log(`Distributing resources for dice roll: ${diceRoll}`);
 
     // Find all tiles with this number
@@ -325,56 +983,25 @@ io.on('connection', (socket) => {
 
           console.log(`Processing tile ${tile.id} (${tile.type}) for resource distribution`);
 
-          // Find all settlements/cities adjacent to this tile and distribute resources
-          if (game.gameState.players) {
+          // Find all settlements/cities adjacent to this tile and distribute resources.
+          // Adjacency comes from the server's board topology, never from client data.
+          const resourceType = TILE_RESOURCES[tile.type];
+          const tileVertices = boardTopology.getTile(tile.id)?.vertices || [];
+          if (resourceType && game.gameState.players) {
             game.gameState.players.forEach(player => {
-              // Log player's settlements and cities for debugging
-              console.log(`Checking player ${player.name}'s buildings:`, {
-                settlements: player.settlements ? player.settlements.length : 0,
-                cities: player.cities ? player.cities.length : 0
+              (player.settlements || []).forEach(settlement => {
+                if (tileVertices.includes(settlement.vertexId)) {
+                  player.resources[resourceType] += 1;
+                  console.log(`${player.name} received 1 ${resourceType} from settlement at ${settlement.vertexId} adjacent to ${tile.id}`);
+                }
               });
 
-              // Check settlements
-              if (player.settlements) {
-                player.settlements.forEach(settlement => {
-                  if (settlement.adjacentTiles) {
-                    // Convert to string for comparison if needed
-                    const tileIdStr = String(tile.id);
-                    const includesTile = settlement.adjacentTiles.some(adjTile => {
-                      return String(adjTile) === tileIdStr;
-                    });
-
-                    if (includesTile) {
-                      const resourceType = resourceMap[tile.type];
-                      if (resourceType) {
-                        player.resources[resourceType] += 1;
-                        console.log(`${player.name} received 1 ${resourceType} from settlement at ${settlement.vertexId} adjacent to ${tile.id}`);
-                      }
-                    }
-                  }
-                });
-              }
-
-              // Check cities
-              if (player.cities) {
-                player.cities.forEach(city => {
-                  if (city.adjacentTiles) {
-                    // Convert to string for comparison if needed
-                    const tileIdStr = String(tile.id);
-                    const includesTile = city.adjacentTiles.some(adjTile => {
-                      return String(adjTile) === tileIdStr;
-                    });
-
-                    if (includesTile) {
-                      const resourceType = resourceMap[tile.type];
-                      if (resourceType) {
-                        player.resources[resourceType] += 2;
-                        console.log(`${player.name} received 2 ${resourceType} from city at ${city.vertexId} adjacent to ${tile.id}`);
-                      }
-                    }
-                  }
-                });
-              }
+              (player.cities || []).forEach(city => {
+                if (tileVertices.includes(city.vertexId)) {
+                  player.resources[resourceType] += 2;
+                  console.log(`${player.name} received 2 ${resourceType} from city at ${city.vertexId} adjacent to ${tile.id}`);
+                }
+              });
             });
           }
         }
@@ -403,16 +1030,28 @@ io.on('connection', (socket) => {
     return true;
   }
 
-  socket.on('build-settlement', (data) => {
-    const { vertexId, adjacentTiles } = data;
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
+  onGameAction('build-settlement', (data) => {
+    const { vertexId } = data;
+    const context = getTurnContext('build-settlement', { requireRoll: true });
+    if (!context) return;
+    const { playerInfo, game, player } = context;
+    const setup = isSetupPhase(game);
 
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+    // Each setup placement is exactly one settlement followed by one road
+    if (setup && game.gameState.setup.settlementVertexId) {
+      emitActionError(socket, 'build-settlement', 'You already placed a settlement this round, place a road next to it');
+      return;
+    }
+
+    const placementError = validateSettlementPlacement(game.gameState, player, vertexId, { isSetup: setup });
+    if (placementError) {
+      emitActionError(socket, 'build-settlement', placementError);
+      return;
+    }
+
+    // Adjacent tiles always come from the server's board topology
+    const adjacentTiles = boardTopology.getAdjacentTiles(vertexId);
 
-    // Find player in game state
-    const player = game.gameState.players.find(p => p.name === playerInfo.playerName);
     if (player) {
       // Initialize settlements array if it doesn't exist
       if (!player.settlements) {
@@ -422,41 +1061,29 @@ io.on('connection', (socket) => {
       // Add settlement to player's settlements
       player.settlements.push({
         vertexId,
-        adjacentTiles: adjacentTiles || [] // Use provided adjacentTiles or empty array
+        adjacentTiles
       });
 
-      if (!game.gameState.gamePhase === 'setup' && !game.gameState.gamePhase === 'SETUP') {
+      if (!setup) {
         deductResources(player, 'SETTLEMENT');
       }
 
-      // Update player points (cities = 2 points, settlements = 1 point)
-      player.points = (player.settlements ? player.settlements.length : 0) + 
-                     (player.cities ? player.cities.length * 2 : 0);
+      // Update player points (cities = 2 points, settlements = 1 point, plus bonus cards)
+      updatePoints(game.gameState);
 
-      console.log(`Added settlement for ${playerInfo.playerName} at ${vertexId} with adjacent tiles:`, adjacentTiles || []);
+      console.log(`Added settlement for ${playerInfo.playerName} at ${vertexId} with adjacent tiles:`, adjacentTiles);
       console.log(`Updated ${playerInfo.playerName} points to ${player.points} (${player.settlements?.length || 0} settlements, ${player.cities?.length || 0} cities)`);
 
-      // If this is the second settlement in setup phase, distribute initial resources
-      // Check for both 'setup' and 'SETUP' due to case sensitivity
-      if ((game.gameState.gamePhase === 'setup' || game.gameState.gamePhase === 'SETUP') && player.settlements.length === 2) {
-        // Get the latest settlement (the one just built)
-        const settlement = player.settlements[player.settlements.length - 1];
+      if (setup) {
+        game.gameState.setup.settlementVertexId = vertexId;
+      }
 
+      // The settlement from the second (reverse order) setup round earns starting resources
+      if (setup && game.gameState.setup.step >= game.gameState.players.length) {
         console.log(`Processing initial resources for settlement at ${vertexId} with adjacentTiles:`, adjacentTiles);
 
         // Find all adjacent tiles and distribute one resource for each non-desert tile
-        if (adjacentTiles && adjacentTiles.length > 0) {
-          const resourceMap = {
-            'forest': 'wood',
-            'hill': 'brick',
-            'pasture': 'wool',
-            'field': 'grain',
-            'mountain': 'ore'
-          };
-
-          // Store the adjacentTiles in the settlement object for future resource distribution
-          settlement.adjacentTiles = adjacentTiles;
-
+        if (adjacentTiles.length > 0) {
           // Find each tile in the game state and distribute resources
           adjacentTiles.forEach(tileId => {
             console.log(`Looking for tile ${tileId} in game state`);
@@ -475,7 +1102,7 @@ io.on('connection', (socket) => {
             }
 
             if (tile && tile.type !== 'desert') {
-              const resourceType = resourceMap[tile.type];
+              const resourceType = TILE_RESOURCES[tile.type];
               if (resourceType) {
                 player.resources[resourceType] += 1;
                 console.log(`${playerInfo.playerName} received 1 ${resourceType} from initial settlement at ${vertexId} adjacent to ${tileId}`);
@@ -489,8 +1116,11 @@ io.on('connection', (socket) => {
     }
 
 
+    // A new settlement can cut through an opponent's road
+    updateLongestRoad(game);
+
     // Broadcast settlement built to all players
-    io.to(playerInfo.gameId).emit('settlement-built', {
+    emitToGame(playerInfo.gameId, 'settlement-built', {
       playerName: playerInfo.playerName,
       vertexId,
       adjacentTiles,
@@ -499,38 +1129,32 @@ io.on('connection', (socket) => {
     });
 
     console.log(`${playerInfo.playerName} built settlement at ${vertexId}`);
+    checkForVictory(game);
   });
 
-  socket.on('build-city', (data) => {
-    const { vertexId, adjacentTiles } = data;
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
+  onGameAction('build-city', (data) => {
+    const { vertexId } = data;
+    const context = getTurnContext('build-city', { requireRoll: true, allowDuringSetup: false });
+    if (!context) return;
+    const { playerInfo, game, player } = context;
 
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+    const placementError = validateCityPlacement(game.gameState, player, vertexId);
+    if (placementError) {
+      emitActionError(socket, 'build-city', placementError);
+      return;
+    }
 
-    console.log(`Building city at ${vertexId} with adjacentTiles:`, adjacentTiles);
+    // Adjacent tiles always come from the server's board topology
+    const cityAdjacentTiles = boardTopology.getAdjacentTiles(vertexId);
+
+    console.log(`Building city at ${vertexId} with adjacentTiles:`, cityAdjacentTiles);
 
-    // Get adjacentTiles from the settlement if not provided
-    let cityAdjacentTiles = adjacentTiles || [];
-    
-    // Find player in game state
-    const player = game.gameState.players.find(p => p.name === playerInfo.playerName);
     if (player) {
       // Initialize cities array if it doesn't exist
       if (!player.cities) {
         player.cities = [];
       }
 
-      // Get adjacentTiles from existing settlement if not provided
-      if (!cityAdjacentTiles.length && player.settlements) {
-        const settlement = player.settlements.find(s => s.vertexId === vertexId);
-        if (settlement && settlement.adjacentTiles) {
-          cityAdjacentTiles = settlement.adjacentTiles;
-          console.log(`Using adjacentTiles from existing settlement:`, cityAdjacentTiles);
-        }
-      }
-
       // Add city to player's cities
       player.cities.push({
         vertexId,
@@ -546,9 +1170,8 @@ io.on('connection', (socket) => {
         }
       }
 
-      // Update player points (cities = 2 points, settlements = 1 point)
-      player.points = (player.settlements ? player.settlements.length : 0) + 
-                     (player.cities ? player.cities.length * 2 : 0);
+      // Update player points (cities = 2 points, settlements = 1 point, plus bonus cards)
+      updatePoints(game.gameState);
       
       console.log(`Updated ${playerInfo.playerName} points to ${player.points} (${player.settlements?.length || 0} settlements, ${player.cities?.length || 0} cities)`);
       console.log(`Added city for ${playerInfo.playerName} at ${vertexId} with adjacent tiles:`, cityAdjacentTiles);
@@ -558,7 +1181,7 @@ io.on('connection', (socket) => {
 
 
       // Broadcast city built to all players with updated player data
-      io.to(playerInfo.gameId).emit('city-built', {
+      emitToGame(playerInfo.gameId, 'city-built', {
         playerName: playerInfo.playerName,
         vertexId,
         adjacentTiles: cityAdjacentTiles,
@@ -571,18 +1194,35 @@ io.on('connection', (socket) => {
     }
 
     console.log(`${playerInfo.playerName} built city at ${vertexId}`);
+    checkForVictory(game);
   });
 
-  socket.on('build-road', (data) => {
-    const { edgeId, gamePhase } = data;
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
+  onGameAction('build-road', (data) => {
+    const { edgeId } = data;
+    const context = getTurnContext('build-road', { requireRoll: true });
+    if (!context) return;
+    const { playerInfo, game, player } = context;
+    const setup = isSetupPhase(game);
+    const free = !setup && game.gameState.freeRoads > 0;
+
+    if (setup) {
+      const settlementVertexId = game.gameState.setup.settlementVertexId;
+      if (!settlementVertexId) {
+        emitActionError(socket, 'build-road', 'Place your settlement before its road');
+        return;
+      }
+      if (!boardTopology.getEdge(edgeId)?.vertices.includes(settlementVertexId)) {
+        emitActionError(socket, 'build-road', 'Your setup road must touch the settlement you just placed');
+        return;
+      }
+    }
 
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+    const placementError = validateRoadPlacement(game.gameState, player, edgeId, { isSetup: setup, free });
+    if (placementError) {
+      emitActionError(socket, 'build-road', placementError);
+      return;
+    }
 
-    // Find player in game state
-    const player = game.gameState.players.find(p => p.name === playerInfo.playerName);
     if (player) {
       // Initialize roads array if it doesn't exist
       if (!player.roads) {
@@ -593,9 +1233,11 @@ io.on('connection', (socket) => {
       player.roads.push({
         edgeId
       });
-      console.log("GamePhase", game.gameState.gamePhase);
-      console.log("gamePhase", gamePhase);
-      if (gamePhase === 'PLAY') {
+      // Roads are free during setup; the phase is the server's, never the client's
+      if (free) {
+        game.gameState.freeRoads -= 1;
+        console.log(`${playerInfo.playerName} placed a free road (${game.gameState.freeRoads} left)`);
+      } else if (!setup) {
         console.log(`Deducting resources for road built by ${playerInfo.playerName}`);
         deductResources(player, 'ROAD');
       }
@@ -603,126 +1245,94 @@ io.on('connection', (socket) => {
       console.log(`Added road for ${playerInfo.playerName} at ${edgeId}`);
     }
 
+    updateLongestRoad(game);
+
     // Broadcast road built to all players
-    io.to(playerInfo.gameId).emit('road-built', {
+    emitToGame(playerInfo.gameId, 'road-built', {
       playerName: playerInfo.playerName,
       edgeId,
+      freeRoadsRemaining: game.gameState.freeRoads,
       playerResources: game.gameState.players,
       timestamp: Date.now()
     });
 
     console.log(`${playerInfo.playerName} built road at ${edgeId}`);
-  });
-
-  socket.on('move-robber', (data) => {
-    const { tileId, targetPlayerId } = data;
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
 
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+    // A setup placement ends with its road
+    if (setup) {
+      advanceSetup(game, playerInfo.playerName);
+      return;
+    }
 
-    let stolenResource = null;
-    let targetPlayerName = null;
+    checkForVictory(game);
+  });
 
-    console.log(`Received move-robber from ${playerInfo.playerName} with tileId: ${tileId}, targetPlayerId: ${targetPlayerId}`);
+  onGameAction('move-robber', (data) => {
+    const { tileId, targetPlayerId } = data;
+    const context = getTurnContext('move-robber', { allowDuringSetup: false });
+    if (!context) return;
+    const { playerInfo, game } = context;
 
-    // Update robber position in game state
-    if (game.gameState) {
-      // Find old robber position and remove it
-      game.gameState.rowTiles.forEach(row => {
-        row.forEach(tile => {
-          if (tile.hasRobber) {
-            tile.hasRobber = false;
-          }
-        });
-      });
+    // Only a rolled 7 or a played knight leaves a robber move owed
+    if (!game.gameState.robberMovePending) {
+      emitActionError(socket, 'move-robber', 'You can only move the robber after rolling a 7 or playing a knight');
+      return;
+    }
 
-      // Set new robber position
-      game.gameState.rowTiles.forEach(row => {
-        row.forEach(tile => {
-          if (tile.id === tileId) {
-            tile.hasRobber = true;
-          }
-        });
-      });
+    const tile = game.gameState.rowTiles.flat().find(t => t.id === tileId);
+    if (!tile) {
+      emitActionError(socket, 'move-robber', `Unknown tile ${tileId}`);
+      return;
+    }
 
-      game.gameState.robberPosition = tileId;
-
-      // Handle stealing if targetPlayerId is provided
-      if (targetPlayerId) {
-        // Find current player by name
-        const currentPlayer = game.gameState.players.find(p => p.name === playerInfo.playerName);
-        
-        // Find target player by ID
-        let targetPlayer = null;
-        
-        // Log all players and their IDs for debugging
-        console.log('All players:', game.gameState.players.map(p => ({ name: p.name, id: p.id })));
-        
-        // First try to find by exact ID match
-        targetPlayer = game.gameState.players.find(p => p.id === targetPlayerId);
-        
-        // If not found, try to find by ID as string
-        if (!targetPlayer) {
-          targetPlayer = game.gameState.players.find(p => p.id === String(targetPlayerId));
-        }
-        
-        // If still not found and ID is numeric, try to find by index
-        if (!targetPlayer && !isNaN(parseInt(targetPlayerId))) {
-          const targetIndex = parseInt(targetPlayerId) - 1; // Adjust for 1-based indexing
-          if (targetIndex >= 0 && targetIndex < game.gameState.players.length) {
-            targetPlayer = game.gameState.players[targetIndex];
-          }
-        }
+    if (tile.hasRobber) {
+      emitActionError(socket, 'move-robber', 'The robber must move to a different tile');
+      return;
+    }
 
-        console.log(`Attempting to steal: currentPlayer=${playerInfo.playerName}, targetPlayerId=${targetPlayerId}`);
-        console.log('Available players:', game.gameState.players.map(p => ({ name: p.name, id: p.id })));
+    // Steal targets are named by their player id and must have a settlement
+    // or city on the robber's new tile
+    const currentPlayer = game.gameState.players.find(p => p.name === playerInfo.playerName);
+    let targetPlayer = null;
+    if (targetPlayerId !== undefined && targetPlayerId !== null) {
+      targetPlayer = game.gameState.players.find(p => p.id === String(targetPlayerId));
+      if (!targetPlayer || targetPlayer === currentPlayer) {
+        emitActionError(socket, 'move-robber', 'You can only steal from another player');
+        return;
+      }
 
-        // Make sure we're not stealing from ourselves
-        if (currentPlayer && targetPlayer && currentPlayer.name !== targetPlayer.name) {
-          targetPlayerName = targetPlayer.name;
-          console.log(`Found target player: ${targetPlayerName}`);
+      const tileVertices = boardTopology.getTile(tile.id).vertices;
+      if (!tileVertices.some(vertexId => getBuildingAt(game.gameState, vertexId)?.player === targetPlayer)) {
+        emitActionError(socket, 'move-robber', `${targetPlayer.name} has no settlement or city on that tile`);
+        return;
+      }
+    }
 
-          // Get all resources the target player has
-          const availableResources = [];
-          Object.entries(targetPlayer.resources).forEach(([resource, amount]) => {
-            for (let i = 0; i < amount; i++) {
-              availableResources.push(resource);
-            }
-          });
+    game.gameState.robberMovePending = false;
+    game.gameState.rowTiles.flat().forEach(t => {
+      t.hasRobber = t === tile;
+    });
+    game.gameState.robberPosition = tileId;
 
-          console.log(`Target player ${targetPlayerName} has resources:`, targetPlayer.resources);
-          console.log(`Available resources to steal:`, availableResources);
-
-          if (availableResources.length > 0) {
-            // Randomly select a resource to steal
-            const randomIndex = Math.floor(Math.random() * availableResources.length);
-            stolenResource = availableResources[randomIndex];
-
-            console.log(`Selected resource to steal: ${stolenResource}`);
-
-            // Transfer the resource
-            if (targetPlayer.resources[stolenResource] > 0) {
-              targetPlayer.resources[stolenResource] -= 1;
-              currentPlayer.resources[stolenResource] = (currentPlayer.resources[stolenResource] || 0) + 1;
-              
-              console.log(`${playerInfo.playerName} stole ${stolenResource} from ${targetPlayer.name}`);
-              console.log(`Updated player resources:`);
-              game.gameState.players.forEach(player => {
-                console.log(`${player.name}:`, player.resources);
-              });
-            }
-          } else {
-            console.log(`Target player ${targetPlayerName} has no resources to steal`);
-          }
-        } else if (currentPlayer && targetPlayer && currentPlayer.name === targetPlayer.name) {
-          console.error(`Cannot steal from yourself: currentPlayer=${currentPlayer.name}, targetPlayer=${targetPlayer.name}`);
-        } else {
-          console.error(`Could not find current player or target player. currentPlayer=${!!currentPlayer}, targetPlayer=${!!targetPlayer}`);
+    let stolenResource = null;
+    const targetPlayerName = targetPlayer ? targetPlayer.name : null;
+
+    if (targetPlayer) {
+      // Take one card at random from the target's hand
+      const availableResources = [];
+      Object.entries(targetPlayer.resources).forEach(([resource, amount]) => {
+        for (let i = 0; i < amount; i++) {
+          availableResources.push(resource);
         }
+      });
+
+      if (availableResources.length > 0) {
+        stolenResource = availableResources[randomInt(game.random, availableResources.length)];
+        targetPlayer.resources[stolenResource] -= 1;
+        currentPlayer.resources[stolenResource] += 1;
+        console.log(`${playerInfo.playerName} stole ${stolenResource} from ${targetPlayerName}`);
       } else {
-        console.log('No targetPlayerId provided, skipping stealing phase');
+        console.log(`Target player ${targetPlayerName} has no resources to steal`);
       }
     }
 
@@ -730,7 +1340,7 @@ io.on('connection', (socket) => {
     const eventData = {
       playerName: playerInfo.playerName,
       tileId,
-      targetPlayerId,
+      targetPlayerId: targetPlayer ? targetPlayer.id : null,
       targetPlayerName,
       stolenResource,
       playerResources: game.gameState.players, // Include updated player resources
@@ -745,17 +1355,15 @@ io.on('connection', (socket) => {
       stolenResource: eventData.stolenResource
     });
     
-    io.to(playerInfo.gameId).emit('robber-moved', eventData);
+    emitToGame(playerInfo.gameId, 'robber-moved', eventData);
 
     console.log(`${playerInfo.playerName} moved robber to ${tileId}`);
   });
 
-  socket.on('bank-trade', (data) => {
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
-
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+  onGameAction('bank-trade', (data) => {
+    const context = getTurnContext('bank-trade', { requireRoll: true, allowDuringSetup: false });
+    if (!context) return;
+    const { playerInfo, game } = context;
 
     // Find the player in the game state
     const player = game.gameState.players.find(p => p.name === playerInfo.playerName);
@@ -764,8 +1372,9 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Extract trading data
-    const { tradingAway, receiving } = data;
+    // Extract trading data. Each unit in tradingAway is one trade at the
+    // player's best ratio for that resource and buys one card in receiving.
+    const { tradingAway = {}, receiving = {} } = data;
     
     console.log(`${playerInfo.playerName} trading with bank:`);
     console.log('Trading away:', tradingAway);
@@ -774,20 +1383,49 @@ io.on('connection', (socket) => {
 
     // Update player resources in the backend
     try {
-      // Deduct resources being traded away
+      const ratios = {};
+      let tradesOffered = 0;
+      let cardsRequested = 0;
+
+      // Validate the whole trade before touching any resources
       for (const [resource, amount] of Object.entries(tradingAway)) {
+        if (!RESOURCE_TYPES.includes(resource)) {
+          throw new Error(`Unknown resource ${resource}`);
+        }
         if (amount > 0) {
-          // Calculate trade ratio (simplified - in real game this would check ports)
-          const ratio = 4; // Default bank trade ratio
+          // Best ratio from the player's harbors, 4:1 without one
+          const ratio = getTradeRatio(game.gameState, player, resource);
           const requiredAmount = amount * ratio;
-          
+          ratios[resource] = ratio;
+          tradesOffered += amount;
+
           // Check if player has enough resources
           if (player.resources[resource] < requiredAmount) {
-            throw new Error(`Not enough ${resource}. Need ${requiredAmount}, have ${player.resources[resource]}`);
+            throw new Error(`Not enough ${resource}. Need ${requiredAmount} at ${ratio}:1, have ${player.resources[resource]}`);
+          }
+        }
+      }
+
+      for (const [resource, amount] of Object.entries(receiving)) {
+        if (!RESOURCE_TYPES.includes(resource)) {
+          throw new Error(`Unknown resource ${resource}`);
+        }
+        if (amount > 0) {
+          if (tradingAway[resource] > 0) {
+            throw new Error(`Cannot trade ${resource} for ${resource}`);
           }
-          
-          // Deduct resources
-          player.resources[resource] -= requiredAmount;
+          cardsRequested += amount;
+        }
+      }
+
+      if (tradesOffered === 0 || tradesOffered !== cardsRequested) {
+        throw new Error(`Trade does not match your ratios: offering ${tradesOffered} trade(s) for ${cardsRequested} card(s)`);
+      }
+
+      // Deduct resources being traded away
+      for (const [resource, amount] of Object.entries(tradingAway)) {
+        if (amount > 0) {
+          player.resources[resource] -= amount * ratios[resource];
         }
       }
       
@@ -801,9 +1439,10 @@ io.on('connection', (socket) => {
       console.log('Player resources after trade:', {...player.resources});
       
       // Broadcast bank trade to all players with updated player resources
-      io.to(playerInfo.gameId).emit('bank-trade-completed', {
+      emitToGame(playerInfo.gameId, 'bank-trade-completed', {
         playerName: playerInfo.playerName,
         tradeData: data,
+        ratios,
         playerResources: game.gameState.players, // Include updated player resources
         timestamp: Date.now()
       });
@@ -811,75 +1450,184 @@ io.on('connection', (socket) => {
       console.log(`${playerInfo.playerName} completed bank trade:`, data);
     } catch (error) {
       console.error(`Error processing bank trade for ${playerInfo.playerName}:`, error.message);
-      // Send error back to the client
-      socket.emit('action-error', {
-        action: 'bank-trade',
-        message: error.message
-      });
+      emitActionError(socket, 'bank-trade', error.message);
     }
   });
 
-  socket.on('discard-cards', (data) => {
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
+  // Development card handlers
+  onGameAction('buy-development-card', () => {
+    const context = getTurnContext('buy-development-card', { requireRoll: true, allowDuringSetup: false });
+    if (!context) return;
+    const { playerInfo, game, player } = context;
 
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+    if (game.developmentDeck.length === 0) {
+      emitActionError(socket, 'buy-development-card', 'The development card deck is empty');
+      return;
+    }
 
-    // Broadcast cards discarded to all players
-    io.to(playerInfo.gameId).emit('cards-discarded', {
+    if (!canAfford(player, 'DevelopmentCard')) {
+      emitActionError(socket, 'buy-development-card', 'Not enough resources to buy a development card');
+      return;
+    }
+
+    deductResources(player, 'DevelopmentCard');
+    const cardType = game.developmentDeck.pop();
+    player.developmentCards.push({ type: cardType, boughtOnTurn: game.gameState.turnNumber });
+
+    // Only the buyer learns which card was drawn
+    socket.emit('development-card-drawn', {
+      cardType,
+      developmentCards: player.developmentCards,
+      timestamp: Date.now()
+    });
+
+    emitToGame(playerInfo.gameId, 'development-card-bought', {
       playerName: playerInfo.playerName,
-      discardData: data,
+      cardsRemaining: game.developmentDeck.length,
+      playerResources: game.gameState.players,
       timestamp: Date.now()
     });
 
-    console.log(`${playerInfo.playerName} discarded cards:`, data);
+    console.log(`${playerInfo.playerName} bought a development card (${game.developmentDeck.length} left in deck)`);
+    checkForVictory(game);
   });
 
-  // Rolling 7 specific handlers
-  socket.on('start-discard-phase', (data) => {
-    const { playersNeedingToDiscard } = data;
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
-
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+  // Resolve the context for playing a development card, checking the player
+  // holds a playable card of that type. Sends action-error and returns null if not.
+  function getCardContext(action, cardType) {
+    const context = getTurnContext(action, { allowDuringSetup: false });
+    if (!context) return null;
 
-    // Initialize discard phase tracking
-    if (!game.discardPhase) {
-      game.discardPhase = {
-        active: true,
-        playersNeedingToDiscard: [...playersNeedingToDiscard],
-        playersCompleted: [],
-        rollerName: playerInfo.playerName
-      };
+    const cardError = getPlayCardError(context.game.gameState, context.player, cardType);
+    if (cardError) {
+      emitActionError(socket, action, cardError);
+      return null;
     }
 
-    // Log all player resources for debugging
-    if (game.gameState && game.gameState.players) {
-      game.gameState.players.forEach(player => {
-        console.log(`Player ${player.name} resources:`, player.resources);
-      });
-    }
+    return context;
+  }
 
-    // Broadcast discard phase started to all players with current resource state
-    io.to(playerInfo.gameId).emit('discard-phase-started', {
-      playersNeedingToDiscard,
-      rollerName: playerInfo.playerName,
+  function broadcastCardPlayed(game, playerName, cardType, details) {
+    emitToGame(game.id, 'development-card-played', {
+      playerName,
+      cardType,
+      ...details,
       playerResources: game.gameState.players,
       timestamp: Date.now()
     });
+  }
+
+  onGameAction('play-knight', () => {
+    const context = getCardContext('play-knight', 'knight');
+    if (!context) return;
+    const { playerInfo, game, player } = context;
+
+    consumeCard(game.gameState, player, 'knight');
+    game.gameState.robberMovePending = true;
+    updateLargestArmy(game);
+
+    broadcastCardPlayed(game, playerInfo.playerName, 'knight', {
+      knightsPlayed: player.playedCards.knight,
+      mustMoveRobber: true
+    });
+
+    console.log(`${playerInfo.playerName} played a knight (${player.playedCards.knight} total)`);
+    checkForVictory(game);
+  });
+
+  onGameAction('play-road-building', () => {
+    const context = getCardContext('play-road-building', 'roadBuilding');
+    if (!context) return;
+    const { playerInfo, game, player } = context;
+
+    const roadsLeft = BUILDING_RULES.ROAD.maxPerPlayer - player.roads.length;
+    if (roadsLeft <= 0) {
+      emitActionError(socket, 'play-road-building', 'You have no roads left to place');
+      return;
+    }
+
+    consumeCard(game.gameState, player, 'roadBuilding');
+    game.gameState.freeRoads = Math.min(2, roadsLeft);
+
+    broadcastCardPlayed(game, playerInfo.playerName, 'roadBuilding', {
+      freeRoads: game.gameState.freeRoads
+    });
+
+    console.log(`${playerInfo.playerName} played road building (${game.gameState.freeRoads} free roads)`);
+  });
+
+  onGameAction('play-year-of-plenty', (data) => {
+    const { resources } = data || {};
+    const context = getCardContext('play-year-of-plenty', 'yearOfPlenty');
+    if (!context) return;
+    const { playerInfo, game, player } = context;
+
+    if (!Array.isArray(resources) || resources.length !== 2 ||
+        !resources.every(resource => RESOURCE_TYPES.includes(resource))) {
+      emitActionError(socket, 'play-year-of-plenty', 'Choose exactly two resources to take from the bank');
+      return;
+    }
+
+    consumeCard(game.gameState, player, 'yearOfPlenty');
+    resources.forEach(resource => {
+      player.resources[resource] += 1;
+    });
+
+    broadcastCardPlayed(game, playerInfo.playerName, 'yearOfPlenty', { resources });
+
+    console.log(`${playerInfo.playerName} played year of plenty for`, resources);
+  });
+
+  onGameAction('play-monopoly', (data) => {
+    const { resource } = data || {};
+    const context = getCardContext('play-monopoly', 'monopoly');
+    if (!context) return;
+    const { playerInfo, game, player } = context;
+
+    if (!RESOURCE_TYPES.includes(resource)) {
+      emitActionError(socket, 'play-monopoly', 'Choose a resource to monopolize');
+      return;
+    }
+
+    consumeCard(game.gameState, player, 'monopoly');
+
+    // Every other player hands over all of the named resource
+    const collected = {};
+    game.gameState.players.forEach(other => {
+      if (other === player || other.resources[resource] === 0) return;
+      collected[other.name] = other.resources[resource];
+      player.resources[resource] += other.resources[resource];
+      other.resources[resource] = 0;
+    });
+
+    broadcastCardPlayed(game, playerInfo.playerName, 'monopoly', { resource, collected });
+
+    console.log(`${playerInfo.playerName} played monopoly on ${resource}:`, collected);
+  });
+
+  // Who discards and how much is worked out by roll-dice; clients only send complete-discard
+  socket.on('discard-cards', () => {
+    emitActionError(socket, 'discard-cards', 'Discards are sent with complete-discard');
+  });
 
-    console.log(`Discard phase started by ${playerInfo.playerName}. Players needing to discard:`, playersNeedingToDiscard);
+  socket.on('start-discard-phase', () => {
+    emitActionError(socket, 'start-discard-phase', 'The discard phase is started by the server when a 7 is rolled');
   });
 
-  socket.on('complete-discard', (data) => {
+  onGameAction('complete-discard', (data) => {
     const { discardedResources } = data;
     const playerInfo = playerSockets.get(socket.id);
     if (!playerInfo) return;
 
     const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing' || !game.discardPhase) return;
+    if (!game || game.status !== 'playing') return;
+
+    const discardPhase = game.discardPhase;
+    if (!discardPhase || !discardPhase.playersNeedingToDiscard.includes(playerInfo.playerName) ||
+        discardPhase.playersCompleted.includes(playerInfo.playerName)) {
+      emitActionError(socket, 'complete-discard', 'You do not have to discard');
+      return;
+    }
 
     // Find the player in game state and validate discard
     const player = game.gameState.players.find(p => p.name === playerInfo.playerName);
@@ -894,30 +1642,19 @@ io.on('connection', (socket) => {
       if (player.resources[resource] < amount) {
         console.error(`Invalid discard: ${playerInfo.playerName} doesn't have enough ${resource} (has ${player.resources[resource]}, trying to discard ${amount})`);
 
-        // Send error back to client
-        socket.emit('action-error', {
-          action: 'complete-discard',
-          message: `You don't have enough ${resource} to discard. Please refresh and try again.`,
-          timestamp: Date.now()
-        });
+        emitActionError(socket, 'complete-discard', `You don't have enough ${resource} to discard. Please refresh and try again.`);
         return;
       }
     }
 
-    // Calculate expected discard amount
-    const totalResources = Object.values(player.resources).reduce((sum, amount) => sum + amount, 0);
-    const expectedDiscard = Math.floor(totalResources / 2);
-    const actualDiscard = Object.values(discardedResources).reduce((sum, amount) => sum + amount, 0);
+    // The amount was fixed when the 7 was rolled
+    const expectedDiscard = discardPhase.discardAmounts[playerInfo.playerName];
+    const actualDiscard = countCards(discardedResources);
 
     if (actualDiscard !== expectedDiscard) {
       console.error(`Invalid discard amount: ${playerInfo.playerName} must discard ${expectedDiscard} but tried to discard ${actualDiscard}`);
 
-      // Send error back to client
-      socket.emit('action-error', {
-        action: 'complete-discard',
-        message: `You must discard exactly ${expectedDiscard} resources. Please try again.`,
-        timestamp: Date.now()
-      });
+      emitActionError(socket, 'complete-discard', `You must discard exactly ${expectedDiscard} resources. Please try again.`);
       return;
     }
 
@@ -939,7 +1676,7 @@ io.on('connection', (socket) => {
     }
 
     // Broadcast player discarded to all players with updated player resources
-    io.to(playerInfo.gameId).emit('player-discarded', {
+    emitToGame(playerInfo.gameId, 'player-discarded', {
       playerName: playerInfo.playerName,
       discardedResources,
       playerResources: game.gameState.players, // Include updated player resources
@@ -948,398 +1685,1150 @@ io.on('connection', (socket) => {
 
     console.log(`${playerInfo.playerName} completed discard:`, discardedResources);
 
-    // Check if all players have completed discarding
-    const allPlayersCompleted = game.discardPhase.playersNeedingToDiscard.every(playerName =>
-      game.discardPhase.playersCompleted.includes(playerName)
-    );
-
-    if (allPlayersCompleted) {
-      // Broadcast discard phase complete with updated player resources
-      io.to(playerInfo.gameId).emit('discard-phase-complete', {
-        rollerName: game.discardPhase.rollerName,
-        playerResources: game.gameState.players, // Include updated player resources
-        timestamp: Date.now()
-      });
-
-      // Store roller name before cleanup
-      const rollerName = game.discardPhase.rollerName;
+    closeDiscardPhaseIfDone(game);
+  });
 
-      // Clean up discard phase
-      delete game.discardPhase;
+  onGameAction('end-turn', () => {
+    // Setup placements end automatically once their road is placed
+    const context = getTurnContext('end-turn', { requireRoll: true, allowDuringSetup: false });
+    if (!context) return;
+    const { playerInfo, game } = context;
 
-      console.log(`Discard phase complete. ${rollerName} can now move robber.`);
-    }
+    passTurn(game, playerInfo.playerName);
   });
 
-  socket.on('end-turn', () => {
+  // Player-to-player trading. Offers stay open until someone takes them, the
+  // proposer cancels, every recipient declines, they expire or the turn ends.
+  // Every change is announced to the room with player-trade-updated.
+
+  // Resolve the open offer a trade event refers to. Sends action-error and
+  // returns null if there is none.
+  function getTradeContext(action, tradeId) {
     const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
+    if (!playerInfo) return null;
 
     const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
+    if (!game || game.status !== 'playing') return null;
 
-    // Clear any pending trades when turn ends
-    if (game.pendingTrades) {
-      game.pendingTrades.clear();
-      console.log(`Cleared pending trades for game ${playerInfo.gameId} on turn end`);
+    const tradeOffer = game.pendingTrades && game.pendingTrades.get(tradeId);
+    if (!tradeOffer || tradeOffer.status !== 'pending') {
+      emitActionError(socket, action, 'Trade offer not found or already processed');
+      return null;
     }
 
-    // Broadcast turn end to all players in the game
-    io.to(playerInfo.gameId).emit('turn-ended', {
-      playerName: playerInfo.playerName,
-      timestamp: Date.now()
-    });
-
-    console.log(`${playerInfo.playerName} ended their turn in game ${playerInfo.gameId}`);
-  });
-
-  // Player-to-player trading handlers
-  socket.on('propose-player-trade', (data) => {
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
-
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing') return;
-
-    // Generate unique trade ID
-    const tradeId = `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Store trade offer in game state
-    if (!game.pendingTrades) {
-      game.pendingTrades = new Map();
-    }
-
-    const tradeOffer = {
-      id: tradeId,
-      fromPlayer: data.fromPlayer,
-      offering: data.offering,
-      requesting: data.requesting,
-      timestamp: Date.now(),
-      status: 'pending'
-    };
+    const player = game.gameState.players.find(p => p.name === playerInfo.playerName);
+    return { playerInfo, game, tradeOffer, player };
+  }
 
-    game.pendingTrades.set(tradeId, tradeOffer);
+  // Check that the sender is one of an offer's recipients and has not answered yet
+  function getResponseError(tradeOffer, playerName) {
+    if (!tradeOffer.toPlayers.includes(playerName)) {
+      return tradeOffer.fromPlayer.name === playerName
+        ? 'You cannot respond to your own trade offer'
+        : 'This trade offer is not for you';
+    }
+    if (tradeOffer.acceptances.some(a => a.playerName === playerName)) {
+      return 'You have already responded to this trade offer';
+    }
+    return null;
+  }
 
-    // Broadcast trade proposal to ALL players in the game (except the proposer)
-    const gamePlayers = Array.from(playerSockets.entries()).filter(
-      ([socketId, playerData]) => playerData.gameId === playerInfo.gameId && playerData.playerName !== playerInfo.playerName
-    );
+  // Record a recipient's answer and tell the proposer. Once everyone has
+  // answered without accepting, the offer is closed.
+  function respondToTrade(game, tradeOffer, playerName, response, details = {}) {
+    tradeOffer.acceptances.push({ playerName, response, ...details, timestamp: Date.now() });
 
-    gamePlayers.forEach(([socketId, playerData]) => {
-      console.log(`🔔 Emitting player-trade-proposed to ${playerData.playerName} (socket: ${socketId})`);
-      io.to(socketId).emit('player-trade-proposed', {
-        tradeId,
+    const proposerSeat = game.players.find(p => p.name === tradeOffer.fromPlayer.name);
+    if (proposerSeat && proposerSeat.socketId && response !== 'countered') {
+      io.to(proposerSeat.socketId).emit(response === 'accepted' ? 'player-trade-accepted' : 'player-trade-rejected', {
+        tradeId: tradeOffer.id,
         tradeOffer,
+        [response === 'accepted' ? 'acceptedBy' : 'rejectedBy']: playerName,
         timestamp: Date.now()
       });
-    });
+    }
 
-    console.log(`Trade proposed from ${data.fromPlayer.name} to all players:`, {
-      offering: data.offering,
-      requesting: data.requesting,
-      playersNotified: gamePlayers.map(([socketId, playerData]) => playerData.playerName)
-    });
-  });
+    const everyoneAnswered = tradeOffer.toPlayers.every(name => tradeOffer.acceptances.some(a => a.playerName === name));
+    if (everyoneAnswered && !tradeOffer.acceptances.some(a => a.response === 'accepted')) {
+      closeTrade(game, tradeOffer, 'rejected', 'Nobody accepted the offer');
+    } else {
+      emitTradeUpdate(game, tradeOffer, `${playerName} ${response}`);
+    }
+  }
 
-  socket.on('accept-player-trade', (data) => {
-    const { tradeId } = data;
+  // Make an offer. toPlayers directs it at some players; without it the
+  // current player's offer goes to everyone.
+  onGameAction('propose-player-trade', (data) => {
+    const { offering, requesting, toPlayers } = data;
     const playerInfo = playerSockets.get(socket.id);
     if (!playerInfo) return;
 
     const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing' || !game.pendingTrades) return;
+    if (!game || game.status !== 'playing') return;
 
-    const tradeOffer = game.pendingTrades.get(tradeId);
-    if (!tradeOffer || tradeOffer.status !== 'pending') {
-      socket.emit('action-error', {
-        action: 'accept-player-trade',
-        message: 'Trade offer not found or already processed'
-      });
+    const currentPlayer = getCurrentPlayer(game);
+    if (isSetupPhase(game) || !game.gameState.hasRolled) {
+      emitActionError(socket, 'propose-player-trade', `Trading opens once ${currentPlayer.name} has rolled`);
       return;
     }
 
-    // Validate that the accepting player is not the proposer
-    if (tradeOffer.fromPlayer.name === playerInfo.playerName) {
-      socket.emit('action-error', {
-        action: 'accept-player-trade',
-        message: 'You cannot accept your own trade offer'
-      });
+    // The proposer is always the sender, whatever the payload claims
+    const proposer = game.gameState.players.find(p => p.name === playerInfo.playerName);
+    const { recipients, error } = getTradeRecipients(game.gameState, proposer, toPlayers);
+    const offerError = error || getOfferError(proposer, offering, requesting);
+    if (offerError) {
+      emitActionError(socket, 'propose-player-trade', offerError);
       return;
     }
 
-    // Add this player to the list of acceptances (don't execute trade yet)
-    if (!tradeOffer.acceptances) {
-      tradeOffer.acceptances = [];
+    const tradeOffer = openTrade(game, proposer, { offering, requesting, toPlayers: recipients });
+    console.log(`Trade ${tradeOffer.id} proposed by ${proposer.name} to ${recipients.join(', ')}`);
+  });
+
+  // Take an offer. An offer made to a single player goes through right away;
+  // with several recipients the proposer picks among those who accepted.
+  onGameAction('accept-player-trade', (data) => {
+    const context = getTradeContext('accept-player-trade', data.tradeId);
+    if (!context) return;
+    const { playerInfo, game, tradeOffer } = context;
+
+    const responseError = getResponseError(tradeOffer, playerInfo.playerName);
+    if (responseError) {
+      emitActionError(socket, 'accept-player-trade', responseError);
+      return;
     }
-    
-    // Check if this player already responded
-    const existingResponse = tradeOffer.acceptances.find(a => a.playerName === playerInfo.playerName);
-    if (existingResponse) {
-      socket.emit('action-error', {
-        action: 'accept-player-trade',
-        message: 'You have already responded to this trade offer'
-      });
+
+    if (tradeOffer.toPlayers.length === 1) {
+      const tradeError = completeTrade(game, tradeOffer, playerInfo.playerName);
+      if (tradeError) {
+        emitActionError(socket, 'accept-player-trade', tradeError);
+      }
       return;
     }
 
-    // Add acceptance
-    tradeOffer.acceptances.push({
-      playerName: playerInfo.playerName,
-      response: 'accepted',
-      timestamp: Date.now()
-    });
+    respondToTrade(game, tradeOffer, playerInfo.playerName, 'accepted');
+    console.log(`Trade accepted by ${playerInfo.playerName} for trade ${tradeOffer.id}`);
+  });
 
-    // Notify the proposing player
-    const fromPlayerSocket = Array.from(playerSockets.entries()).find(
-      ([socketId, playerData]) => playerData.gameId === playerInfo.gameId && playerData.playerName === tradeOffer.fromPlayer.name
-    );
+  onGameAction('reject-player-trade', (data) => {
+    const context = getTradeContext('reject-player-trade', data.tradeId);
+    if (!context) return;
+    const { playerInfo, game, tradeOffer } = context;
 
-    if (fromPlayerSocket) {
-      const [fromSocketId, fromPlayerData] = fromPlayerSocket;
-      io.to(fromSocketId).emit('player-trade-accepted', {
-        tradeId,
-        acceptedBy: playerInfo.playerName,
-        timestamp: Date.now()
-      });
+    const responseError = getResponseError(tradeOffer, playerInfo.playerName);
+    if (responseError) {
+      emitActionError(socket, 'reject-player-trade', responseError);
+      return;
     }
 
-    console.log(`Trade accepted by ${playerInfo.playerName} for trade ${tradeId}`);
+    respondToTrade(game, tradeOffer, playerInfo.playerName, 'rejected');
+    console.log(`Trade rejected by ${playerInfo.playerName} for offer from ${tradeOffer.fromPlayer.name}`);
   });
 
-  socket.on('reject-player-trade', (data) => {
-    const { tradeId } = data;
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
-
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing' || !game.pendingTrades) return;
-
-    const tradeOffer = game.pendingTrades.get(tradeId);
-    if (!tradeOffer || tradeOffer.status !== 'pending') {
-      socket.emit('action-error', {
-        action: 'reject-player-trade',
-        message: 'Trade offer not found or already processed'
-      });
+  // Answer an offer with different terms. The counter-offer is a new offer
+  // from the responder to the original proposer, from the responder's side.
+  onGameAction('counter-player-trade', (data) => {
+    const { tradeId, offering, requesting } = data;
+    const context = getTradeContext('counter-player-trade', tradeId);
+    if (!context) return;
+    const { playerInfo, game, tradeOffer, player } = context;
+
+    const responseError = getResponseError(tradeOffer, playerInfo.playerName) || getOfferError(player, offering, requesting);
+    if (responseError) {
+      emitActionError(socket, 'counter-player-trade', responseError);
       return;
     }
 
-    // Validate that the rejecting player is not the proposer
-    if (tradeOffer.fromPlayer.name === playerInfo.playerName) {
-      socket.emit('action-error', {
-        action: 'reject-player-trade',
-        message: 'You cannot reject your own trade offer'
-      });
+    const counterOffer = openTrade(game, player, {
+      offering,
+      requesting,
+      toPlayers: [tradeOffer.fromPlayer.name],
+      counterTo: tradeOffer.id
+    });
+    respondToTrade(game, tradeOffer, playerInfo.playerName, 'countered', { counterTradeId: counterOffer.id });
+    console.log(`${playerInfo.playerName} countered trade ${tradeOffer.id} with ${counterOffer.id}`);
+  });
+
+  // Change the terms of your own offer. Earlier answers were to the old
+  // terms, so everyone is asked again and the expiry starts over.
+  onGameAction('amend-player-trade', (data) => {
+    const { tradeId, offering, requesting } = data;
+    const context = getTradeContext('amend-player-trade', tradeId);
+    if (!context) return;
+    const { playerInfo, game, tradeOffer, player } = context;
+
+    if (tradeOffer.fromPlayer.name !== playerInfo.playerName) {
+      emitActionError(socket, 'amend-player-trade', 'You can only amend your own trade offers');
       return;
     }
 
-    // Add this player to the list of rejections
-    if (!tradeOffer.acceptances) {
-      tradeOffer.acceptances = [];
-    }
-    
-    // Check if this player already responded
-    const existingResponse = tradeOffer.acceptances.find(a => a.playerName === playerInfo.playerName);
-    if (existingResponse) {
-      socket.emit('action-error', {
-        action: 'reject-player-trade',
-        message: 'You have already responded to this trade offer'
-      });
+    const offerError = getOfferError(player, offering, requesting);
+    if (offerError) {
+      emitActionError(socket, 'amend-player-trade', offerError);
       return;
     }
 
-    // Add rejection
-    tradeOffer.acceptances.push({
-      playerName: playerInfo.playerName,
-      response: 'rejected',
-      timestamp: Date.now()
-    });
+    tradeOffer.offering = offering;
+    tradeOffer.requesting = requesting;
+    tradeOffer.acceptances = [];
+    tradeOffer.expiresAt = Date.now() + TRADE_EXPIRY_MS;
+    scheduleTradeExpiry(game, tradeOffer);
 
-    // Find the proposing player's socket and notify them
-    const fromPlayerSocket = Array.from(playerSockets.entries()).find(
-      ([socketId, playerData]) => playerData.gameId === playerInfo.gameId && playerData.playerName === tradeOffer.fromPlayer.name
-    );
+    notifyTradeRecipients(game, tradeOffer);
+    emitTradeUpdate(game, tradeOffer, 'amended');
+  });
 
-    if (fromPlayerSocket) {
-      const [fromSocketId, fromPlayerData] = fromPlayerSocket;
-      io.to(fromSocketId).emit('player-trade-rejected', {
-        tradeId,
-        tradeOffer,
-        rejectedBy: playerInfo.playerName,
-        timestamp: Date.now()
-      });
-    }
+  onGameAction('cancel-player-trade', (data) => {
+    const context = getTradeContext('cancel-player-trade', data.tradeId);
+    if (!context) return;
+    const { playerInfo, game, tradeOffer } = context;
 
-    console.log(`Trade rejected by ${playerInfo.playerName} for offer from ${tradeOffer.fromPlayer.name}`);
+    if (tradeOffer.fromPlayer.name !== playerInfo.playerName) {
+      emitActionError(socket, 'cancel-player-trade', 'You can only cancel your own trade offers');
+      return;
+    }
 
-    // Clean up rejected trade
-    game.pendingTrades.delete(tradeId);
+    closeTrade(game, tradeOffer, 'cancelled', `${playerInfo.playerName} withdrew the offer`);
   });
 
   // Handle final trade selection by proposer
-  socket.on('select-trade-partner', (data) => {
+  onGameAction('select-trade-partner', (data) => {
     const { tradeId, selectedPlayerName } = data;
-    const playerInfo = playerSockets.get(socket.id);
-    if (!playerInfo) return;
-
-    const game = games.get(playerInfo.gameId);
-    if (!game || game.status !== 'playing' || !game.pendingTrades) return;
-
-    const tradeOffer = game.pendingTrades.get(tradeId);
-    if (!tradeOffer || tradeOffer.status !== 'pending') {
-      socket.emit('action-error', {
-        action: 'select-trade-partner',
-        message: 'Trade offer not found or already processed'
-      });
-      return;
-    }
+    const context = getTradeContext('select-trade-partner', tradeId);
+    if (!context) return;
+    const { playerInfo, game, tradeOffer } = context;
 
     // Validate that the selecting player is the proposer
     if (tradeOffer.fromPlayer.name !== playerInfo.playerName) {
-      socket.emit('action-error', {
-        action: 'select-trade-partner',
-        message: 'You can only select partners for your own trade offers'
-      });
+      emitActionError(socket, 'select-trade-partner', 'You can only select partners for your own trade offers');
       return;
     }
 
     // Check if the selected player actually accepted
-    const acceptance = tradeOffer.acceptances?.find(a => 
+    const acceptance = tradeOffer.acceptances.find(a =>
       a.playerName === selectedPlayerName && a.response === 'accepted'
     );
-    
     if (!acceptance) {
-      socket.emit('action-error', {
-        action: 'select-trade-partner',
-        message: 'Selected player has not accepted this trade offer'
-      });
+      emitActionError(socket, 'select-trade-partner', 'Selected player has not accepted this trade offer');
       return;
     }
 
-    // Execute the trade
-    const fromPlayer = game.gameState.players.find(p => p.name === tradeOffer.fromPlayer.name);
-    const toPlayer = game.gameState.players.find(p => p.name === selectedPlayerName);
-
-    if (!fromPlayer || !toPlayer) {
-      socket.emit('action-error', {
-        action: 'select-trade-partner',
-        message: 'Players not found in game state'
-      });
-      return;
+    const tradeError = completeTrade(game, tradeOffer, selectedPlayerName);
+    if (tradeError) {
+      emitActionError(socket, 'select-trade-partner', tradeError);
     }
+  });
 
-    // Validate resources
-    try {
-      // Check if fromPlayer has enough resources to offer
-      for (const [resource, amount] of Object.entries(tradeOffer.offering)) {
-        if (amount > 0 && fromPlayer.resources[resource] < amount) {
-          throw new Error(`${fromPlayer.name} doesn't have enough ${resource} to complete trade`);
-        }
-      }
+  // Handle disconnect: hold the seat for a while in case the player comes back
+  socket.on('disconnect', () => {
+    console.log('User disconnected:', socket.id);
+    patchSubscribers.delete(socket.id);
+    stopSpectating(socket);
+    handlePlayerDisconnect(socket);
+  });
+}
 
-      // Check if toPlayer has enough resources to give
-      for (const [resource, amount] of Object.entries(tradeOffer.requesting)) {
-        if (amount > 0 && toPlayer.resources[resource] < amount) {
-          throw new Error(`${toPlayer.name} doesn't have enough ${resource} to complete trade`);
-        }
-      }
+// Helper functions
+function emitActionError(socket, action, message) {
+  socket.emit('action-error', {
+    action,
+    message,
+    timestamp: Date.now()
+  });
+}
 
-      // Execute the trade
-      for (const [resource, amount] of Object.entries(tradeOffer.offering)) {
-        if (amount > 0) {
-          fromPlayer.resources[resource] -= amount;
-          toPlayer.resources[resource] += amount;
-        }
-      }
+// Each player gets their own view of a game event (their hand in full,
+// opponents' as counts); spectators get a copy without any hands
+function emitToGame(gameId, event, payload) {
+  const game = games.get(gameId);
+  if (!game) return;
 
-      for (const [resource, amount] of Object.entries(tradeOffer.requesting)) {
-        if (amount > 0) {
-          toPlayer.resources[resource] -= amount;
-          fromPlayer.resources[resource] += amount;
-        }
-      }
+  getGameViewers(game).forEach(({ socketId, viewerName }) => {
+    const view = getPayloadForViewer(payload, viewerName);
+    io.to(socketId).emit(event, patchSubscribers.has(socketId) ? withoutFullState(view) : view);
+  });
+}
 
-      // Mark trade as completed
-      tradeOffer.status = 'completed';
-      tradeOffer.selectedPartner = selectedPlayerName;
+// Everyone connected to a game as { socketId, viewerName }, where spectators
+// have no name. Bots read the game directly and are left out.
+function getGameViewers(game) {
+  const players = game.players
+    .filter(seat => seat.socketId && !seat.isBot)
+    .map(seat => ({ socketId: seat.socketId, viewerName: seat.name }));
+  const spectators = Array.from(spectatorSockets.entries())
+    .filter(([, spectator]) => spectator.gameId === game.id)
+    .map(([socketId]) => ({ socketId, viewerName: null }));
+  return [...players, ...spectators];
+}
 
-      // Broadcast trade completion to all players in the game
-      io.to(playerInfo.gameId).emit('player-trade-completed', {
-        tradeId,
-        tradeOffer,
-        selectedPartner: selectedPlayerName,
-        playerResources: game.gameState.players,
-        timestamp: Date.now()
-      });
+// Move the game to its next revision and send every viewer the patch from
+// their view of `before` (a replayable state) to their view of the game now
+function publishRevision(game, before) {
+  game.revision += 1;
+  const after = getReplayableState(game);
+
+  getGameViewers(game).forEach(({ socketId, viewerName }) => {
+    io.to(socketId).emit('state-patch', {
+      gameId: game.id,
+      revision: game.revision,
+      changes: getStatePatch(before, after, viewerName),
+      timestamp: Date.now()
+    });
+  });
+}
 
-      console.log(`Trade completed between ${fromPlayer.name} and ${toPlayer.name}:`, {
-        offering: tradeOffer.offering,
-        requesting: tradeOffer.requesting
-      });
+// Apply a change the server makes on its own (e.g. a timer running out) and
+// log and publish it like a player's action
+function runServerAction(game, type, payload, change) {
+  const before = game.actionLog ? getReplayableState(game) : null;
+  change();
+  if (before && recordAction(game, before, { type, playerName: null, payload })) {
+    publishRevision(game, before);
+  }
+  saveGame(game);
+  scheduleBots(game);
+}
 
-      // Clean up completed trade
-      game.pendingTrades.delete(tradeId);
+function emitStateSync(game, socketId, viewerName) {
+  io.to(socketId).emit('state-sync', {
+    gameId: game.id,
+    revision: game.revision,
+    state: getSyncState(getReplayableState(game), viewerName),
+    timestamp: Date.now()
+  });
+}
 
-    } catch (error) {
-      console.error(`Error executing trade ${tradeId}:`, error.message);
-      socket.emit('action-error', {
-        action: 'select-trade-partner',
-        message: error.message
-      });
+function getSpectatorRoom(gameId) {
+  return `${gameId}:spectators`;
+}
+
+function stopSpectating(socket) {
+  const spectator = spectatorSockets.get(socket.id);
+  if (!spectator) return;
+
+  spectatorSockets.delete(socket.id);
+  socket.leave(getSpectatorRoom(spectator.gameId));
+  broadcastGamesList();
+}
+
+// Drop every spectator of a game that no longer exists
+function removeSpectators(gameId) {
+  spectatorSockets.forEach((spectator, socketId) => {
+    if (spectator.gameId !== gameId) return;
+    spectatorSockets.delete(socketId);
+    io.to(socketId).emit('spectate-ended', { gameId, timestamp: Date.now() });
+  });
+  io.socketsLeave(getSpectatorRoom(gameId));
+}
+
+// Open a trade offer from `proposer` to the players named in toPlayers.
+// Offers are pending until closed as completed, cancelled, expired or
+// rejected, at which point they leave game.pendingTrades.
+function openTrade(game, proposer, { offering, requesting, toPlayers, counterTo = null }) {
+  if (!game.pendingTrades) {
+    game.pendingTrades = new Map();
+  }
+
+  const tradeOffer = {
+    id: `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    fromPlayer: { id: proposer.id, name: proposer.name },
+    toPlayers,
+    offering,
+    requesting,
+    counterTo, // id of the offer this one answers, if it is a counter-offer
+    acceptances: [], // { playerName, response: accepted/rejected/countered, timestamp }
+    timestamp: Date.now(),
+    expiresAt: Date.now() + TRADE_EXPIRY_MS,
+    status: 'pending'
+  };
+  game.pendingTrades.set(tradeOffer.id, tradeOffer);
+  scheduleTradeExpiry(game, tradeOffer);
+
+  notifyTradeRecipients(game, tradeOffer);
+  emitTradeUpdate(game, tradeOffer, 'proposed');
+  return tradeOffer;
+}
+
+function notifyTradeRecipients(game, tradeOffer) {
+  game.players
+    .filter(seat => tradeOffer.toPlayers.includes(seat.name) && seat.socketId && !seat.isBot)
+    .forEach(seat => io.to(seat.socketId).emit('player-trade-proposed', {
+      tradeId: tradeOffer.id,
+      tradeOffer,
+      timestamp: Date.now()
+    }));
+}
+
+function emitTradeUpdate(game, tradeOffer, reason) {
+  emitToGame(game.id, 'player-trade-updated', {
+    tradeId: tradeOffer.id,
+    status: tradeOffer.status,
+    reason,
+    tradeOffer,
+    timestamp: Date.now()
+  });
+}
+
+// Swap the cards between an offer's proposer and `partnerName`. Returns the
+// reason the trade cannot go ahead, or null once it is done.
+function completeTrade(game, tradeOffer, partnerName) {
+  const proposer = game.gameState.players.find(p => p.name === tradeOffer.fromPlayer.name);
+  const partner = game.gameState.players.find(p => p.name === partnerName);
+  if (!proposer || !partner) {
+    return 'Players not found in game state';
+  }
+
+  const error = exchangeCards(proposer, partner, tradeOffer);
+  if (error) return error;
+
+  tradeOffer.selectedPartner = partnerName;
+  closeTrade(game, tradeOffer, 'completed', `${proposer.name} traded with ${partnerName}`);
+
+  emitToGame(game.id, 'player-trade-completed', {
+    tradeId: tradeOffer.id,
+    tradeOffer,
+    selectedPartner: partnerName,
+    playerResources: game.gameState.players,
+    timestamp: Date.now()
+  });
+
+  console.log(`Trade completed between ${proposer.name} and ${partnerName}:`, {
+    offering: tradeOffer.offering,
+    requesting: tradeOffer.requesting
+  });
+  return null;
+}
+
+function closeTrade(game, tradeOffer, status, reason) {
+  tradeOffer.status = status;
+  clearTradeTimer(tradeOffer.id);
+  game.pendingTrades.delete(tradeOffer.id);
+  emitTradeUpdate(game, tradeOffer, reason);
+}
+
+function closePendingTrades(game, status, reason) {
+  Array.from(game.pendingTrades ? game.pendingTrades.values() : [])
+    .forEach(tradeOffer => closeTrade(game, tradeOffer, status, reason));
+}
+
+function scheduleTradeExpiry(game, tradeOffer) {
+  clearTradeTimer(tradeOffer.id);
+  tradeTimers.set(tradeOffer.id, setTimeout(() => {
+    tradeTimers.delete(tradeOffer.id);
+    if (games.get(game.id) !== game || game.status !== 'playing' || tradeOffer.status !== 'pending') return;
+
+    runServerAction(game, 'trade-expired', { tradeId: tradeOffer.id }, () => {
+      closeTrade(game, tradeOffer, 'expired', 'Nobody took the offer in time');
+    });
+  }, Math.max(tradeOffer.expiresAt - Date.now(), 0)));
+}
+
+function clearTradeTimer(tradeId) {
+  clearTimeout(tradeTimers.get(tradeId));
+  tradeTimers.delete(tradeId);
+}
+
+// Lobby changes go to everyone at the table with the full seat list
+function emitLobbyUpdate(game, event, details) {
+  const publicGame = getPublicGameData(game);
+  emitToGame(game.id, event, {
+    ...details,
+    players: publicGame.players,
+    gameData: publicGame
+  });
+}
+
+function getFreeColor(game) {
+  return PLAYER_COLORS.find(color => !game.players.some(p => p.color === color));
+}
+
+// The first person after seat `fromIndex` (wrapping around) who can host.
+// Bots never host. With `connectedOnly`, seats held for a dropped player are skipped.
+function findNextHost(game, fromIndex, connectedOnly) {
+  const count = game.players.length;
+  for (let offset = 0; offset < count; offset++) {
+    const seat = game.players[(fromIndex + offset) % count];
+    if (seat.isBot || seat.name === game.host) continue;
+    if (connectedOnly && !seat.connected) continue;
+    return seat;
+  }
+  return null;
+}
+
+function setHost(game, playerName) {
+  const previousHost = game.host;
+  game.host = playerName;
+  game.players.forEach(seat => {
+    const playerInfo = seat.socketId && playerSockets.get(seat.socketId);
+    if (playerInfo) playerInfo.isHost = seat.name === playerName;
+  });
+
+  emitLobbyUpdate(game, 'host-changed', { previousHost, host: playerName });
+  broadcastGamesList();
+
+  console.log(`${playerName} is now the host of game ${game.id}`);
+}
+
+// Seat a new bot in the lobby and connect it
+function addBot(game, difficulty) {
+  let number = 1;
+  while (game.players.some(p => p.name === `Bot ${number}`)) {
+    number++;
+  }
+
+  const seat = {
+    name: `Bot ${number}`,
+    socketId: `bot:${game.id}:${number}`,
+    sessionToken: null,
+    connected: true,
+    ready: true,
+    color: getFreeColor(game),
+    isBot: true,
+    difficulty
+  };
+  game.players.push(seat);
+  startBot(game, seat);
+  return seat;
+}
+
+// Connect a bot seat through the regular connection handler
+function startBot(game, seat) {
+  const socket = new BotSocket(seat.socketId);
+  handleConnection(socket);
+  playerSockets.set(socket.id, { playerName: seat.name, gameId: game.id, isHost: false });
+  bots.set(socket.id, {
+    socket,
+    gameId: game.id,
+    playerName: seat.name,
+    difficulty: seat.difficulty,
+    failedAttempt: null,
+    // Its own generator, so a seeded game still deals the same dice and steals
+    random: createRandom(`${game.random.seed}:${seat.name}`)
+  });
+}
+
+function stopBot(socketId) {
+  playerSockets.delete(socketId);
+  bots.delete(socketId);
+}
+
+function getGameBots(gameId) {
+  return Array.from(bots.values()).filter(bot => bot.gameId === gameId);
+}
+
+// Give the game's bots a turn to act after a short pause
+function scheduleBots(game) {
+  if (game.status !== 'playing' || botTimers.has(game.id)) return;
+  if (getGameBots(game.id).length === 0) return;
+
+  botTimers.set(game.id, setTimeout(() => runBots(game.id), BOT_ACTION_DELAY_MS));
+}
+
+// Let the first bot with something to do take one action. Every accepted
+// action schedules another round, so bots keep playing until they have to
+// wait for a person.
+function runBots(gameId) {
+  botTimers.delete(gameId);
+  const game = games.get(gameId);
+  if (!game) return;
+
+  // Anything accepted since a bot's last failure moves the log forward
+  const revision = game.actionLog ? game.actionLog.events.length : 0;
+
+  for (const bot of getGameBots(gameId)) {
+    const action = decideAction(game, bot.playerName, bot.difficulty, bot.random);
+    if (!action) continue;
+
+    // Don't retry an action that was refused until the game has moved on
+    const attempt = JSON.stringify([action.event, action.data, revision]);
+    if (bot.failedAttempt === attempt) continue;
+
+    const error = bot.socket.send(action.event, action.data);
+    if (!error) return;
+
+    bot.failedAttempt = attempt;
+    console.error(`${bot.playerName} could not ${action.event}: ${error.message}`);
+
+    // Never leave the table waiting on a bot that is stuck mid-turn
+    if (getCurrentPlayer(game)?.name === bot.playerName && game.gameState.hasRolled && !isSetupPhase(game)) {
+      bot.socket.send('end-turn');
     }
+
+    // A refused action changes nothing, so nothing else will wake the bots:
+    // look again, skipping the attempt that just failed
+    scheduleBots(game);
+    return;
+  }
+}
+
+function getCurrentPlayer(game) {
+  if (!game.gameState || !game.gameState.players) return null;
+  return game.gameState.players[game.gameState.currentPlayerIndex] || null;
+}
+
+// After a 7 the game waits for every owed discard and then for the robber;
+// knights also leave a robber move owed. Returns why `action` has to wait,
+// or null if it may go ahead.
+function getPendingStep(game, action) {
+  if (game.status !== 'playing' || !game.gameState) return null;
+
+  const discardPhase = game.discardPhase;
+  if (discardPhase) {
+    if (action === 'complete-discard') return null;
+    const waitingFor = discardPhase.playersNeedingToDiscard.filter(name => !discardPhase.playersCompleted.includes(name));
+    return `Waiting for ${waitingFor.join(', ')} to discard`;
+  }
+
+  if (game.gameState.robberMovePending && action !== 'move-robber') {
+    return `${getCurrentPlayer(game).name} has to move the robber first`;
+  }
+  return null;
+}
+
+// Once everyone who owes a discard has made it, the roller may move the robber
+function closeDiscardPhaseIfDone(game) {
+  const discardPhase = game.discardPhase;
+  if (!discardPhase || !discardPhase.playersNeedingToDiscard.every(name => discardPhase.playersCompleted.includes(name))) return;
+
+  // Broadcast discard phase complete with updated player resources
+  emitToGame(game.id, 'discard-phase-complete', {
+    rollerName: discardPhase.rollerName,
+    playerResources: game.gameState.players, // Include updated player resources
+    timestamp: Date.now()
   });
 
-  // Handle disconnect
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-    handlePlayerLeave(socket);
+  delete game.discardPhase;
+
+  console.log(`Discard phase complete. ${discardPhase.rollerName} can now move robber.`);
+}
+
+// Hand the turn to the next seat still in the game
+function passTurn(game, playerName) {
+  // Every open offer involves the current player, so they all end with the turn
+  closePendingTrades(game, 'expired', 'The turn ended');
+
+  const gameState = game.gameState;
+  gameState.currentPlayerIndex = findActiveSeat(gameState, gameState.currentPlayerIndex + 1);
+  gameState.hasRolled = false;
+  gameState.turnNumber = (gameState.turnNumber || 0) + 1;
+  gameState.developmentCardPlayed = false;
+  gameState.freeRoads = 0;
+  gameState.robberMovePending = false;
+  const nextPlayer = getCurrentPlayer(game);
+
+  // Broadcast turn end to all players in the game
+  emitToGame(game.id, 'turn-ended', {
+    playerName,
+    nextPlayerName: nextPlayer.name,
+    currentPlayerIndex: gameState.currentPlayerIndex,
+    turnNumber: gameState.turnNumber,
+    timestamp: Date.now()
   });
-});
 
-// Helper functions
+  console.log(`${playerName}'s turn ended in game ${game.id}, ${nextPlayer.name} is up`);
+
+  // Points gained during someone else's turn (e.g. Longest Road passing
+  // after a settlement cut it) only win at the start of the holder's own turn
+  checkForVictory(game);
+}
+
+// The first seat from `fromIndex` on, wrapping around, whose player has not
+// left the game
+function findActiveSeat(gameState, fromIndex) {
+  const count = gameState.players.length;
+  for (let offset = 0; offset < count; offset++) {
+    const index = (fromIndex + offset) % count;
+    if (!gameState.players[index].hasLeft) return index;
+  }
+  return fromIndex % count;
+}
+
+// A player who leaves a running game keeps their pieces on the board, but
+// their seat is skipped from now on and nothing waits for them: offers they
+// are part of are cancelled, a discard they owe is dropped and, if it was
+// their turn (or setup placement), play moves on. Nobody wins by being the
+// last one at the table, so with fewer than two seats left the game is over.
+function retireSeat(game, playerName) {
+  const player = game.gameState.players.find(p => p.name === playerName);
+  if (!player || player.hasLeft) return;
+  player.hasLeft = true;
+
+  if (game.gameState.players.filter(p => !p.hasLeft).length < 2) {
+    abandonGame(game);
+    return;
+  }
+
+  Array.from(game.pendingTrades ? game.pendingTrades.values() : [])
+    .filter(tradeOffer => tradeOffer.fromPlayer.name === playerName || tradeOffer.toPlayers.includes(playerName))
+    .forEach(tradeOffer => closeTrade(game, tradeOffer, 'cancelled', `${playerName} left the game`));
+
+  const discardPhase = game.discardPhase;
+  if (discardPhase && !discardPhase.playersCompleted.includes(playerName)) {
+    discardPhase.playersNeedingToDiscard = discardPhase.playersNeedingToDiscard.filter(name => name !== playerName);
+    delete discardPhase.discardAmounts[playerName];
+    closeDiscardPhaseIfDone(game);
+  }
+
+  if (getCurrentPlayer(game) !== player) return;
+  if (isSetupPhase(game)) {
+    advanceSetup(game, playerName);
+  } else {
+    // Also drops a robber move they still owed
+    passTurn(game, playerName);
+  }
+}
+
+// End a game that can no longer be played, without a winner
+function abandonGame(game) {
+  closePendingTrades(game, 'cancelled', 'The game was abandoned');
+  delete game.discardPhase;
+  game.gameState.robberMovePending = false;
+
+  game.status = 'ended';
+  game.gameState.gamePhase = GAME_PHASES.ENDED;
+  game.winner = null;
+  game.abandoned = true;
+  game.endedAt = new Date().toISOString();
+
+  emitToGame(game.id, 'game-ended', {
+    gameId: game.id,
+    winner: null,
+    abandoned: true,
+    standings: getStandings(game.gameState),
+    turnNumber: game.gameState.turnNumber,
+    timestamp: Date.now()
+  });
+
+  broadcastGamesList();
+
+  console.log(`Game ${game.id} abandoned: fewer than two players are left`);
+}
+
+function isSetupPhase(game) {
+  return game.gameState?.gamePhase === GAME_PHASES.SETUP;
+}
+
+// Snake draft for setup: every seat places once in order, then again in reverse
+function createSetupOrder(playerCount) {
+  const forward = Array.from({ length: playerCount }, (_, index) => index);
+  return [...forward, ...forward.slice().reverse()];
+}
+
+// Called when a setup placement is complete. Hands the next placement to the
+// next seat in the snake order, or starts the main phase with the first seat.
+function advanceSetup(game, playerName) {
+  const gameState = game.gameState;
+  const setup = gameState.setup;
+  setup.step += 1;
+  setup.settlementVertexId = null;
+  while (setup.step < setup.order.length && gameState.players[setup.order[setup.step]].hasLeft) {
+    setup.step += 1;
+  }
+
+  if (setup.step < setup.order.length) {
+    gameState.currentPlayerIndex = setup.order[setup.step];
+    const nextPlayer = getCurrentPlayer(game);
+
+    emitToGame(game.id, 'turn-ended', {
+      playerName,
+      nextPlayerName: nextPlayer.name,
+      currentPlayerIndex: gameState.currentPlayerIndex,
+      gamePhase: gameState.gamePhase,
+      setupRound: setup.step < gameState.players.length ? 1 : 2,
+      timestamp: Date.now()
+    });
+
+    console.log(`Setup in game ${game.id}: ${nextPlayer.name} places next`);
+    return;
+  }
+
+  gameState.gamePhase = GAME_PHASES.PLAY;
+  gameState.setup = null;
+  gameState.currentPlayerIndex = findActiveSeat(gameState, 0);
+  gameState.hasRolled = false;
+  const firstPlayer = getCurrentPlayer(game);
+
+  emitToGame(game.id, 'game-phase-update', {
+    gameId: game.id,
+    gamePhase: gameState.gamePhase,
+    currentPlayerIndex: gameState.currentPlayerIndex,
+    currentPlayerName: firstPlayer.name,
+    playerResources: gameState.players,
+    timestamp: Date.now()
+  });
+
+  console.log(`Setup complete in game ${game.id}, ${firstPlayer.name} takes the first turn`);
+}
+
+// Recalculate road lengths after a road or settlement is placed, move the
+// Longest Road card if needed and tell the room when it changes hands
+function updateLongestRoad(game) {
+  const gameState = game.gameState;
+  const previousHolder = gameState.longestRoad ? gameState.longestRoad.playerName : null;
+  const holder = determineLongestRoadHolder(gameState);
+  const holderPlayer = gameState.players.find(p => p.name === holder);
+
+  gameState.longestRoad = holderPlayer
+    ? { playerName: holder, length: holderPlayer.longestRoadLength }
+    : null;
+
+  if (holder === previousHolder) return;
+
+  updatePoints(gameState);
+
+  emitToGame(game.id, 'longest-road-changed', {
+    playerName: holder,
+    previousHolder,
+    length: gameState.longestRoad ? gameState.longestRoad.length : 0,
+    roadLengths: gameState.players.map(p => ({ name: p.name, length: p.longestRoadLength })),
+    playerResources: gameState.players,
+    timestamp: Date.now()
+  });
+
+  console.log(`Longest Road in game ${game.id}: ${previousHolder || 'nobody'} -> ${holder || 'nobody'}`);
+}
+
+// Move the Largest Army card after a knight is played and tell the room when it changes hands
+function updateLargestArmy(game) {
+  const gameState = game.gameState;
+  const previousHolder = gameState.largestArmy ? gameState.largestArmy.playerName : null;
+  const holder = determineLargestArmyHolder(gameState);
+  const holderPlayer = gameState.players.find(p => p.name === holder);
+
+  gameState.largestArmy = holderPlayer
+    ? { playerName: holder, knights: holderPlayer.playedCards.knight }
+    : null;
+
+  if (holder === previousHolder) return;
+
+  updatePoints(gameState);
+
+  emitToGame(game.id, 'largest-army-changed', {
+    playerName: holder,
+    previousHolder,
+    knights: gameState.largestArmy ? gameState.largestArmy.knights : 0,
+    knightsPlayed: gameState.players.map(p => ({ name: p.name, knights: p.playedCards.knight })),
+    playerResources: gameState.players,
+    timestamp: Date.now()
+  });
+
+  console.log(`Largest Army in game ${game.id}: ${previousHolder || 'nobody'} -> ${holder}`);
+}
+
+// End the game if the current player has reached the target, counting their
+// hidden victory point cards. Only the player whose turn it is can win.
+function checkForVictory(game) {
+  if (game.status !== 'playing' || isSetupPhase(game)) return false;
+
+  const player = getCurrentPlayer(game);
+  if (!player || !hasWon(game.gameState, player)) return false;
+
+  game.status = 'ended';
+  game.gameState.gamePhase = GAME_PHASES.ENDED;
+  game.winner = player.name;
+  game.endedAt = new Date().toISOString();
+
+  const standings = getStandings(game.gameState);
+  emitToGame(game.id, 'game-ended', {
+    gameId: game.id,
+    winner: player.name,
+    standings,
+    turnNumber: game.gameState.turnNumber,
+    timestamp: Date.now()
+  });
+
+  // The game drops out of the in-progress listing
+  broadcastGamesList();
+
+  console.log(`Game ${game.id} won by ${player.name}:`, standings);
+  return true;
+}
+
+// Open a new lobby with its host seated (but not yet bound to a socket).
+// Private games are left out of every listing and entered by invite code.
+function createGame(hostName, { seed, private: isPrivate = false, password, maxPlayers } = {}) {
+  // A seed from the creator (or GAME_SEED) makes the whole game reproducible
+  const gameSeed = (typeof seed === 'string' && seed !== '') || Number.isFinite(seed) ? seed : GAME_SEED;
+  const seat = {
+    name: hostName,
+    socketId: null,
+    sessionToken: generateSessionToken(),
+    connected: true,
+    ready: false,
+    color: PLAYER_COLORS[0]
+  };
+
+  const game = {
+    id: generateGameId(),
+    host: hostName,
+    players: [seat],
+    maxPlayers: maxPlayers ?? PLAYER_COUNT.max, // the schema lets an explicit null through
+    isPrivate,
+    inviteCode: generateInviteCode(),
+    password: password ? hashPassword(password) : null, // { salt, hash }, never the password itself
+    status: 'waiting', // waiting, playing, ended
+    created: new Date().toISOString(),
+    random: createRandom(gameSeed), // { seed, state } driving the board, deck, dice and steals
+    gameState: null // Will store the actual game state when game starts
+  };
+
+  games.set(game.id, game);
+  return { game, seat };
+}
+
+// Look up a game someone wants to join or watch. Private games can only be
+// found by their invite code.
+function findGameToEnter(gameId, inviteCode) {
+  if (inviteCode) {
+    return Array.from(games.values()).find(game => game.inviteCode === inviteCode) || null;
+  }
+  const game = games.get(gameId);
+  return game && !game.isPrivate ? game : null;
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  return { salt, hash: crypto.scryptSync(password, salt, 32).toString('hex') };
+}
+
+function checkGamePassword(game, password) {
+  if (!game.password) return true;
+  if (typeof password !== 'string') return false;
+
+  const { hash } = hashPassword(password, game.password.salt);
+  return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(game.password.hash, 'hex'));
+}
+
+// A live game, or a finished one from the game store. Private games are
+// only reached through their invite code, so the REST API never finds them
+// by id.
+async function findGame(gameId) {
+  const snapshot = games.has(gameId) ? null : await gameStore.load(gameId);
+  const game = snapshot ? deserializeGame(snapshot) : games.get(gameId);
+  return game && !game.isPrivate ? game : null;
+}
+
+function getGameSummary(game) {
+  return {
+    id: game.id,
+    host: game.host,
+    players: game.players.map(p => p.name),
+    maxPlayers: game.maxPlayers,
+    status: game.status,
+    created: game.created,
+    turnNumber: game.gameState?.turnNumber || 0,
+    winner: game.winner || null
+  };
+}
+
+// Everything public about a game: the board, seats and card counts, no hands
+function getPublicGameView(game) {
+  return {
+    ...getPublicGameData(game),
+    gameState: getPublicGameState(game.gameState),
+    pendingTrades: game.pendingTrades ? Array.from(game.pendingTrades.values()) : []
+  };
+}
+
 function generateGameId() {
   return 'GAME' + Math.random().toString(36).substr(2, 6).toUpperCase();
 }
 
+function generateInviteCode() {
+  let code;
+  do {
+    code = crypto.randomBytes(4).toString('hex').toUpperCase();
+  } while (Array.from(games.values()).some(game => game.inviteCode === code));
+  return code;
+}
+
+function generateSessionToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Game data safe to send to clients: no session tokens, deck order, action
+// log, random seed (which would predict every future roll) or lobby secrets.
+// Members get the invite code separately so they can pass it on.
+function getPublicGameData(game) {
+  const { developmentDeck, actionLog, random, password, inviteCode, ...publicGame } = game;
+  return {
+    ...publicGame,
+    players: game.players.map(({ sessionToken, ...player }) => player)
+  };
+}
+
 function handlePlayerLeave(socket) {
   const playerInfo = playerSockets.get(socket.id);
   if (!playerInfo) return;
 
+  playerSockets.delete(socket.id);
+  removePlayerFromGame(playerInfo.gameId, playerInfo.playerName);
+}
+
+// A dropped connection keeps the player's seat for the grace period so they
+// can come back with rejoin-game; only then are they removed from the game
+function handlePlayerDisconnect(socket) {
+  const playerInfo = playerSockets.get(socket.id);
+  if (!playerInfo) return;
+
+  playerSockets.delete(socket.id);
+
   const game = games.get(playerInfo.gameId);
+  const seat = game && game.players.find(p => p.name === playerInfo.playerName);
+  if (!seat || seat.socketId !== socket.id) return;
+
+  holdSeat(game, seat);
+
+  emitToGame(game.id, 'player-disconnected', {
+    playerName: seat.name,
+    reconnectDeadline: Date.now() + RECONNECT_GRACE_PERIOD_MS,
+    timestamp: Date.now()
+  });
+
+  // Someone still at the table takes over hosting so the lobby is not stuck
+  if (game.host === seat.name) {
+    const nextHost = findNextHost(game, game.players.indexOf(seat), true);
+    if (nextHost) setHost(game, nextHost.name);
+  }
+
+  saveGame(game);
+
+  console.log(`${seat.name} disconnected from game ${game.id}, holding seat for ${RECONNECT_GRACE_PERIOD_MS}ms`);
+}
+
+// Mark a seat as empty and remove its player if nobody reclaims it in time
+function holdSeat(game, seat) {
+  seat.socketId = null;
+  seat.connected = false;
+
+  const timerKey = `${game.id}:${seat.name}`;
+  clearTimeout(disconnectTimers.get(timerKey));
+  disconnectTimers.set(timerKey, setTimeout(() => {
+    disconnectTimers.delete(timerKey);
+    console.log(`${seat.name} did not reconnect to game ${game.id} in time`);
+    removePlayerFromGame(game.id, seat.name);
+  }, RECONNECT_GRACE_PERIOD_MS));
+}
+
+function clearDisconnectTimer(gameId, playerName) {
+  const timerKey = `${gameId}:${playerName}`;
+  clearTimeout(disconnectTimers.get(timerKey));
+  disconnectTimers.delete(timerKey);
+}
+
+function removePlayerFromGame(gameId, playerName) {
+  clearDisconnectTimer(gameId, playerName);
+
+  const game = games.get(gameId);
   if (!game) return;
 
   // Remove player from game
-  game.players = game.players.filter(p => p.socketId !== socket.id);
-
-  if (game.players.length === 0 || playerInfo.isHost) {
-    // If host leaves or no players left, delete the game
-    games.delete(playerInfo.gameId);
-    console.log(`Game ${playerInfo.gameId} deleted`);
+  const seat = game.players.find(p => p.name === playerName);
+  const seatIndex = game.players.indexOf(seat);
+  if (seat && seat.isBot) stopBot(seat.socketId);
+  game.players = game.players.filter(p => p.name !== playerName);
+
+  if (game.players.every(p => p.isBot)) {
+    // If the last person leaves, delete the game. Finished games stay in the
+    // store as a record of the result.
+    games.delete(gameId);
+    game.players.forEach(p => clearDisconnectTimer(gameId, p.name));
+    getGameBots(gameId).forEach(bot => stopBot(bot.socket.id));
+    (game.pendingTrades || new Map()).forEach(tradeOffer => clearTradeTimer(tradeOffer.id));
+    clearTimeout(botTimers.get(gameId));
+    botTimers.delete(gameId);
+    removeSpectators(gameId);
+    if (game.status === 'ended') {
+      saveGame(game);
+    } else {
+      gameStore.delete(gameId).catch(error => {
+        console.error(`Failed to delete saved game ${gameId}:`, error.message);
+      });
+    }
+    console.log(`Game ${gameId} deleted`);
   } else {
-    // If not host, just remove player and notify others
-    io.to(playerInfo.gameId).emit('player-left', {
-      playerName: playerInfo.playerName,
+    // Tell the others who left before (possibly) who hosts now
+    emitToGame(gameId, 'player-left', {
+      playerName,
       players: game.players.map(p => p.name),
-      gameData: game
+      gameData: getPublicGameData(game)
     });
+
+    if (game.host === playerName) {
+      const nextHost = findNextHost(game, seatIndex, true) || findNextHost(game, seatIndex, false);
+      setHost(game, nextHost.name);
+    }
+
+    if (game.status === 'playing') {
+      // The seat stays in the game state, so make sure nothing waits on it
+      runServerAction(game, 'player-left', { playerName }, () => retireSeat(game, playerName));
+    } else {
+      saveGame(game);
+    }
   }
 
-  playerSockets.delete(socket.id);
   broadcastGamesList();
 }
 
+function saveGame(game) {
+  gameStore.save(serializeGame(game)).catch(error => {
+    console.error(`Failed to save game ${game.id}:`, error.message);
+  });
+}
+
+// Load unfinished games from the store. Nobody is connected after a restart,
+// so every seat is held for the reconnect grace period waiting for rejoin-game.
+async function restoreGames() {
+  const snapshots = await gameStore.list();
+  snapshots
+    .filter(snapshot => snapshot.status !== 'ended')
+    .forEach(snapshot => {
+      const error = getSnapshotError(snapshot);
+      if (error) {
+        console.error(`Skipping saved game ${snapshot && snapshot.id}: ${error}`);
+        return;
+      }
+
+      const game = deserializeGame(snapshot);
+      games.set(game.id, game);
+      game.players.forEach(seat => seat.isBot ? startBot(game, seat) : holdSeat(game, seat));
+      (game.pendingTrades || new Map()).forEach(tradeOffer => scheduleTradeExpiry(game, tradeOffer));
+      scheduleBots(game);
+      console.log(`Restored game ${game.id} (${game.status}) with players:`, game.players.map(p => p.name));
+    });
+}
+
 function broadcastGamesList() {
-  const availableGames = Array.from(games.values())
-    .filter(game => game.status === 'waiting')
+  io.emit('games-list', getOpenLobbies());
+  io.emit('games-in-progress', getGamesInProgress());
+}
+
+// Public lobbies still taking players. Private games are never listed.
+function getOpenLobbies() {
+  return Array.from(games.values())
+    .filter(game => game.status === 'waiting' && !game.isPrivate)
     .map(game => ({
       id: game.id,
       host: game.host,
       players: game.players.map(p => p.name),
       maxPlayers: game.maxPlayers,
+      requiresPassword: Boolean(game.password),
       status: game.status,
       created: game.created
     }));
+}
 
-  io.emit('games-list', availableGames);
+function getGamesInProgress() {
+  return Array.from(games.values())
+    .filter(game => game.status === 'playing' && !game.isPrivate)
+    .map(game => ({
+      id: game.id,
+      host: game.host,
+      players: game.players.map(p => p.name),
+      gamePhase: game.gameState?.gamePhase || null,
+      turnNumber: game.gameState?.turnNumber || 0,
+      spectators: Array.from(spectatorSockets.values()).filter(s => s.gameId === game.id).length,
+      created: game.created
+    }));
 }
 
 function initializeGameStateTracking(game) {
@@ -1348,24 +2837,44 @@ function initializeGameStateTracking(game) {
     game.gameState.players = game.players.map((player, index) => ({
       id: String(index + 1), // Add numeric ID as string for each player, starting from 1 to match frontend
       name: player.name,
+      color: player.color || PLAYER_COLORS[index],
       resources: { wood: 0, brick: 0, wool: 0, grain: 0, ore: 0 },
       settlements: [],
       cities: [],
       roads: [],
       points: 0,
-      developmentCards: []
+      developmentCards: [], // { type, boughtOnTurn }
+      playedCards: createPlayedCardsTally()
     }));
     
     console.log('Initialized player IDs:', game.gameState.players.map(p => ({ name: p.name, id: p.id })));
   }
 
-  if (!game.gameState.currentPlayerIndex) {
-    game.gameState.currentPlayerIndex = 0;
-  }
+  // Setup placement order: { order: seat indexes, step, settlementVertexId placed this step }
+  game.gameState.setup = {
+    order: createSetupOrder(game.gameState.players.length),
+    step: 0,
+    settlementVertexId: null
+  };
+  game.gameState.currentPlayerIndex = game.gameState.setup.order[0];
 
-  if (!game.gameState.gamePhase) {
-    game.gameState.gamePhase = 'setup'; // setup, playing, ended
-  }
+  // Turn tracking: the current player must roll exactly once before building or trading
+  game.gameState.hasRolled = false;
+  game.gameState.turnNumber = 0;
+  game.gameState.lastRoll = null; // { dice1, dice2, total } of the latest roll
+
+  // Development cards: one play per turn, free roads from road building,
+  // and a robber move owed after a knight
+  game.gameState.developmentCardPlayed = false;
+  game.gameState.freeRoads = 0;
+  game.gameState.robberMovePending = false;
+  game.developmentDeck = shuffle(game.random, createDevelopmentDeck());
+
+  // Bonus card holders: { playerName, length } / { playerName, knights } or null
+  game.gameState.longestRoad = null;
+  game.gameState.largestArmy = null;
+
+  game.gameState.gamePhase = GAME_PHASES.SETUP;
 
   console.log('Game state tracking initialized for game:', game.id);
 }
@@ -1401,7 +2910,11 @@ app.use((req, res, next) => {
 });
 
 const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Frontend served from: ${path.join(__dirname, '../public')}`);
-});
+restoreGames()
+  .catch(error => console.error('Failed to restore saved games:', error))
+  .finally(() => {
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`Frontend served from: ${path.join(__dirname, '../public')}`);
+    });
+  });
@@ -0,0 +1,74 @@
+const fs = require('fs/promises');
+const path = require('path');
+const GameStore = require('./GameStore');
+
+// Stores one `<gameId>.json` file per game in a directory. Writes go to a
+// temp file first and are renamed into place, and writes for the same game
+// are queued so an older snapshot can never land after a newer one.
+class FileGameStore extends GameStore {
+    constructor(directory) {
+        super();
+        this.directory = directory;
+        this.pending = new Map(); // gameId -> promise of the last queued write
+    }
+
+    filePath(gameId) {
+        // Game ids are server generated, but never let one escape the directory
+        return path.join(this.directory, `${path.basename(String(gameId))}.json`);
+    }
+
+    queue(gameId, operation) {
+        const previous = this.pending.get(gameId) || Promise.resolve();
+        const next = previous.catch(() => {}).then(operation);
+        this.pending.set(gameId, next);
+        next.finally(() => {
+            if (this.pending.get(gameId) === next) this.pending.delete(gameId);
+        }).catch(() => {});
+        return next;
+    }
+
+    async save(snapshot) {
+        const contents = JSON.stringify(snapshot);
+        return this.queue(snapshot.id, async () => {
+            await fs.mkdir(this.directory, { recursive: true });
+            const target = this.filePath(snapshot.id);
+            const temp = `${target}.${process.pid}.tmp`;
+            await fs.writeFile(temp, contents);
+            await fs.rename(temp, target);
+        });
+    }
+
+    async load(gameId) {
+        await this.pending.get(gameId)?.catch(() => {});
+        try {
+            return JSON.parse(await fs.readFile(this.filePath(gameId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const snapshots = await Promise.all(files
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.load(path.basename(file, '.json')).catch(error => {
+                console.error(`Skipping unreadable game file ${file}:`, error.message);
+                return null;
+            })));
+        return snapshots.filter(Boolean);
+    }
+
+    async delete(gameId) {
+        return this.queue(gameId, () => fs.rm(this.filePath(gameId), { force: true }));
+    }
+}
+
+module.exports = FileGameStore;
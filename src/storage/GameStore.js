@@ -0,0 +1,24 @@
+// Interface for game persistence. Stores hold plain JSON-safe snapshots
+// (see gameSnapshot.js) keyed by game id; every method is async.
+class GameStore {
+    // Insert or replace the snapshot for snapshot.id
+    async save(snapshot) {
+        throw new Error(`${this.constructor.name} does not implement save()`);
+    }
+
+    // Snapshot for a game id, or null if there is none
+    async load(gameId) {
+        throw new Error(`${this.constructor.name} does not implement load()`);
+    }
+
+    // Every stored snapshot
+    async list() {
+        throw new Error(`${this.constructor.name} does not implement list()`);
+    }
+
+    async delete(gameId) {
+        throw new Error(`${this.constructor.name} does not implement delete()`);
+    }
+}
+
+module.exports = GameStore;
@@ -0,0 +1,30 @@
+const GameStore = require('./GameStore');
+
+// Keeps snapshots in process memory. Nothing survives a restart; useful for
+// development and tests. Snapshots are copied in and out so callers can't
+// mutate what is stored.
+class MemoryGameStore extends GameStore {
+    constructor() {
+        super();
+        this.snapshots = new Map(); // gameId -> snapshot
+    }
+
+    async save(snapshot) {
+        this.snapshots.set(snapshot.id, structuredClone(snapshot));
+    }
+
+    async load(gameId) {
+        const snapshot = this.snapshots.get(gameId);
+        return snapshot ? structuredClone(snapshot) : null;
+    }
+
+    async list() {
+        return Array.from(this.snapshots.values(), snapshot => structuredClone(snapshot));
+    }
+
+    async delete(gameId) {
+        this.snapshots.delete(gameId);
+    }
+}
+
+module.exports = MemoryGameStore;
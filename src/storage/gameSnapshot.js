@@ -0,0 +1,41 @@
+// Convert live game objects to JSON-safe snapshots and back. Live games keep
+// pending trades in a Map; everything else is already plain data.
+
+function serializeGame(game) {
+    return {
+        ...game,
+        pendingTrades: game.pendingTrades ? Array.from(game.pendingTrades.entries()) : null
+    };
+}
+
+function deserializeGame(snapshot) {
+    const game = structuredClone(snapshot);
+    if (game.pendingTrades) {
+        game.pendingTrades = new Map(game.pendingTrades);
+    } else {
+        delete game.pendingTrades;
+    }
+    return game;
+}
+
+// Check that a snapshot has everything a live game needs. Returns what is
+// missing or malformed, or null.
+function getSnapshotError(snapshot) {
+    if (!snapshot || typeof snapshot.id !== 'string') return 'it has no game id';
+    if (!['waiting', 'playing', 'ended'].includes(snapshot.status)) return `unknown status ${snapshot.status}`;
+    if (!Array.isArray(snapshot.players) || snapshot.players.length === 0) return 'it has no players';
+    if (!snapshot.random || typeof snapshot.random.seed !== 'string' || !Number.isInteger(snapshot.random.state)) {
+        return 'it has no random generator';
+    }
+    if (typeof snapshot.inviteCode !== 'string') return 'it has no invite code';
+    if (snapshot.status !== 'waiting' && (!snapshot.gameState || !snapshot.actionLog || !Number.isInteger(snapshot.revision))) {
+        return 'its game state, action log or revision is missing';
+    }
+    return null;
+}
+
+module.exports = {
+    serializeGame,
+    deserializeGame,
+    getSnapshotError
+};
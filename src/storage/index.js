@@ -0,0 +1,24 @@
+const path = require('path');
+const MemoryGameStore = require('./MemoryGameStore');
+const FileGameStore = require('./FileGameStore');
+const { serializeGame, deserializeGame, getSnapshotError } = require('./gameSnapshot');
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '../../data/games');
+
+// Pick the store from the environment: GAME_STORE=memory keeps games in
+// process only, anything else writes JSON files under GAME_STORE_DIR
+function createGameStore(env = process.env) {
+    if (env.GAME_STORE === 'memory') {
+        return new MemoryGameStore();
+    }
+    return new FileGameStore(env.GAME_STORE_DIR || DEFAULT_STORE_DIR);
+}
+
+module.exports = {
+    createGameStore,
+    serializeGame,
+    deserializeGame,
+    getSnapshotError,
+    MemoryGameStore,
+    FileGameStore
+};
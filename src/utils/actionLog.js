@@ -0,0 +1,68 @@
+const { diffState, applyDiff } = require('./stateDiff');
+
+// Every accepted action is appended to game.actionLog.events as
+//   { seq, timestamp, type, playerName, payload, changes }
+// where changes is the diff the action made to the replayable part of the
+// game. Replay applies those diffs in order to the state captured when the
+// game started, so it never re-runs game rules or rolls dice again.
+
+// The part of a game that actions change and that replay rebuilds
+function getReplayableState(game) {
+    return structuredClone({
+        status: game.status,
+        winner: game.winner || null,
+        gameState: game.gameState,
+        developmentDeck: game.developmentDeck || [],
+        discardPhase: game.discardPhase || null,
+        pendingTrades: game.pendingTrades ? Object.fromEntries(game.pendingTrades) : {}
+    });
+}
+
+function createActionLog(game) {
+    game.actionLog = {
+        startedAt: new Date().toISOString(),
+        initialState: getReplayableState(game),
+        events: []
+    };
+    return game.actionLog;
+}
+
+// Append an action to the log if it changed the game. `before` is the
+// replayable state captured just before the action ran, so rejected actions
+// (which change nothing) leave no trace. Returns the event, or null.
+function recordAction(game, before, { type, playerName, payload }) {
+    if (!game.actionLog) return null;
+
+    const changes = diffState(before, getReplayableState(game));
+    if (changes.length === 0) return null;
+
+    const event = {
+        seq: game.actionLog.events.length + 1,
+        timestamp: Date.now(),
+        type,
+        playerName,
+        payload: payload === undefined ? null : structuredClone(payload),
+        changes
+    };
+    game.actionLog.events.push(event);
+    return event;
+}
+
+// Rebuild the replayable state after the first `eventIndex` events. Index 0
+// is the state at game start; the default is the state after the last event.
+function replayTo(actionLog, eventIndex = actionLog.events.length) {
+    if (!Number.isInteger(eventIndex) || eventIndex < 0 || eventIndex > actionLog.events.length) {
+        throw new RangeError(`Event index must be between 0 and ${actionLog.events.length}`);
+    }
+
+    return actionLog.events
+        .slice(0, eventIndex)
+        .reduce((state, event) => applyDiff(state, event.changes), structuredClone(actionLog.initialState));
+}
+
+module.exports = {
+    getReplayableState,
+    createActionLog,
+    recordAction,
+    replayTo
+};
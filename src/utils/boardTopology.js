@@ -0,0 +1,161 @@
+// Static board graph for the standard 3-4-5-4-3 hex layout.
+// Ids match the ones the client renders: tiles are `tile-N` in row order,
+// vertices are `v-N` row by row from the top, and edges are `e-N` ordered
+// row by row with each row's horizontal edges before the links below it.
+
+// Number of tiles in each row, top to bottom
+const TILE_ROW_LENGTHS = [3, 4, 5, 4, 3];
+
+// A vertex row sits above every tile row plus one below the last; it is as
+// wide as the wider of the two tile rows it touches
+const VERTEX_ROW_LENGTHS = TILE_ROW_LENGTHS.concat(0).map((length, row) =>
+    2 * Math.max(length, TILE_ROW_LENGTHS[row - 1] || 0) + 1
+);
+
+const VERTEX_ROW_STARTS = VERTEX_ROW_LENGTHS.reduce((starts, length, row) => {
+    starts.push(row === 0 ? 0 : starts[row - 1] + VERTEX_ROW_LENGTHS[row - 1]);
+    return starts;
+}, []);
+
+// The nine harbors around the coast, each reachable from the two coastal
+// vertices it touches. The first seven match the client's port layout.
+const HARBOR_LAYOUT = [
+    { id: 'port-1', type: 'general', vertices: ['v-0', 'v-8'] },
+    { id: 'port-2', type: 'general', vertices: ['v-5', 'v-6'] },
+    { id: 'port-3', type: 'wood', vertices: ['v-16', 'v-27'] },
+    { id: 'port-4', type: 'brick', vertices: ['v-26', 'v-37'] },
+    { id: 'port-5', type: 'wool', vertices: ['v-39', 'v-38'] },
+    { id: 'port-6', type: 'grain', vertices: ['v-45', 'v-46'] },
+    { id: 'port-7', type: 'ore', vertices: ['v-51', 'v-50'] },
+    { id: 'port-8', type: 'general', vertices: ['v-2', 'v-3'] },
+    { id: 'port-9', type: 'general', vertices: ['v-48', 'v-49'] }
+];
+
+const tiles = new Map(); // tileId -> { id, row, col, vertices, edges }
+const vertices = new Map(); // vertexId -> { id, row, adjacentTiles, adjacentVertices, edges }
+const edges = new Map(); // edgeId -> { id, vertices }
+const edgesByVertexPair = new Map(); // 'v-a|v-b' -> edgeId
+
+function vertexIndex(vertexId) {
+    return Number(vertexId.slice(2));
+}
+
+function vertexRow(index) {
+    let row = 0;
+    while (row + 1 < VERTEX_ROW_STARTS.length && VERTEX_ROW_STARTS[row + 1] <= index) {
+        row++;
+    }
+    return row;
+}
+
+function pairKey(vertexA, vertexB) {
+    return vertexIndex(vertexA) < vertexIndex(vertexB)
+        ? `${vertexA}|${vertexB}`
+        : `${vertexB}|${vertexA}`;
+}
+
+function buildTopology() {
+    for (let row = 0; row < VERTEX_ROW_LENGTHS.length; row++) {
+        for (let i = 0; i < VERTEX_ROW_LENGTHS[row]; i++) {
+            const id = `v-${VERTEX_ROW_STARTS[row] + i}`;
+            vertices.set(id, { id, row, adjacentTiles: [], adjacentVertices: [], edges: [] });
+        }
+    }
+
+    // Walk each hex's corners (top row left to right, bottom row right to left)
+    // to collect its vertices and the unique edges around it
+    const vertexPairs = new Map();
+    let tileIndex = 0;
+    TILE_ROW_LENGTHS.forEach((length, row) => {
+        // The narrower of the two vertex rows a tile touches is inset by one vertex
+        const topOffset = VERTEX_ROW_LENGTHS[row] > 2 * length + 1 ? 1 : 0;
+        const bottomOffset = VERTEX_ROW_LENGTHS[row + 1] > 2 * length + 1 ? 1 : 0;
+
+        for (let col = 0; col < length; col++) {
+            const top = [0, 1, 2].map(k => `v-${VERTEX_ROW_STARTS[row] + topOffset + 2 * col + k}`);
+            const bottom = [0, 1, 2].map(k => `v-${VERTEX_ROW_STARTS[row + 1] + bottomOffset + 2 * col + k}`);
+            const ring = [...top, ...bottom.slice().reverse()];
+            const tileId = `tile-${tileIndex++}`;
+
+            tiles.set(tileId, { id: tileId, row, col, vertices: [...top, ...bottom], edges: [] });
+            ring.forEach((vertexId, i) => {
+                vertices.get(vertexId).adjacentTiles.push(tileId);
+                const next = ring[(i + 1) % ring.length];
+                vertexPairs.set(pairKey(vertexId, next), [vertexId, next]);
+            });
+        }
+    });
+
+    // Number edges in the same order the client does: by the row of the upper
+    // vertex, horizontal edges before vertical ones, then left to right
+    const sortedPairs = Array.from(vertexPairs.values())
+        .map(pair => pair.sort((a, b) => vertexIndex(a) - vertexIndex(b)))
+        .sort(([a1, b1], [a2, b2]) => {
+            const rank = (a, b) => vertexRow(vertexIndex(a)) * 2 +
+                (vertexRow(vertexIndex(a)) === vertexRow(vertexIndex(b)) ? 0 : 1);
+            return rank(a1, b1) - rank(a2, b2) || vertexIndex(a1) - vertexIndex(a2);
+        });
+
+    sortedPairs.forEach(([vertexA, vertexB], i) => {
+        const id = `e-${i}`;
+        edges.set(id, { id, vertices: [vertexA, vertexB] });
+        edgesByVertexPair.set(pairKey(vertexA, vertexB), id);
+
+        const a = vertices.get(vertexA);
+        const b = vertices.get(vertexB);
+        a.adjacentVertices.push(vertexB);
+        b.adjacentVertices.push(vertexA);
+        a.edges.push(id);
+        b.edges.push(id);
+    });
+
+    tiles.forEach(tile => {
+        const ring = [...tile.vertices.slice(0, 3), ...tile.vertices.slice(3).reverse()];
+        tile.edges = ring.map((vertexId, i) => getEdgeBetween(vertexId, ring[(i + 1) % ring.length]));
+    });
+}
+
+function getVertex(vertexId) {
+    return vertices.get(vertexId) || null;
+}
+
+function getEdge(edgeId) {
+    return edges.get(edgeId) || null;
+}
+
+function getTile(tileId) {
+    return tiles.get(tileId) || null;
+}
+
+function getEdgeBetween(vertexA, vertexB) {
+    if (typeof vertexA !== 'string' || typeof vertexB !== 'string') return null;
+    return edgesByVertexPair.get(pairKey(vertexA, vertexB)) || null;
+}
+
+// Tile ids touching a vertex (1 to 3 of them)
+function getAdjacentTiles(vertexId) {
+    const vertex = vertices.get(vertexId);
+    return vertex ? [...vertex.adjacentTiles] : [];
+}
+
+function getAllVertexIds() {
+    return Array.from(vertices.keys());
+}
+
+function getAllEdgeIds() {
+    return Array.from(edges.keys());
+}
+
+buildTopology();
+
+module.exports = {
+    TILE_ROW_LENGTHS,
+    HARBOR_LAYOUT,
+    getVertex,
+    getEdge,
+    getTile,
+    getEdgeBetween,
+    getAdjacentTiles,
+    getAllVertexIds,
+    getAllEdgeIds
+};
@@ -0,0 +1,8 @@
+// Total number of cards in a { resource: amount } hand, cost or offer
+function countCards(cards) {
+    return Object.values(cards || {}).reduce((sum, amount) => sum + amount, 0);
+}
+
+module.exports = {
+    countCards
+};
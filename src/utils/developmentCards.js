@@ -0,0 +1,60 @@
+const { DEVELOPMENT_CARD_COUNTS } = require('./gameConstants');
+
+// Card types that can be played from the hand (victory points stay hidden
+// in the hand and are counted at scoring time)
+const PLAYABLE_CARD_TYPES = ['knight', 'roadBuilding', 'yearOfPlenty', 'monopoly'];
+
+// Unshuffled deck, one entry per card
+function createDevelopmentDeck() {
+    return Object.entries(DEVELOPMENT_CARD_COUNTS).flatMap(([type, count]) =>
+        Array(count).fill(type)
+    );
+}
+
+function createPlayedCardsTally() {
+    return PLAYABLE_CARD_TYPES.reduce((tally, type) => {
+        tally[type] = 0;
+        return tally;
+    }, {});
+}
+
+// Check whether a player may play a card of this type right now. Returns the
+// reason it is not allowed, or null.
+function getPlayCardError(gameState, player, cardType) {
+    if (!PLAYABLE_CARD_TYPES.includes(cardType)) {
+        return `${cardType} cards cannot be played`;
+    }
+
+    if (gameState.developmentCardPlayed) {
+        return 'You can only play one development card per turn';
+    }
+
+    const cards = (player.developmentCards || []).filter(card => card.type === cardType);
+    if (cards.length === 0) {
+        return `You do not have a ${cardType} card`;
+    }
+
+    if (!cards.some(card => card.boughtOnTurn < gameState.turnNumber)) {
+        return 'You cannot play a development card on the turn you bought it';
+    }
+
+    return null;
+}
+
+// Remove the oldest playable card of a type from the hand and record the play
+function consumeCard(gameState, player, cardType) {
+    const index = player.developmentCards.findIndex(card =>
+        card.type === cardType && card.boughtOnTurn < gameState.turnNumber
+    );
+    player.developmentCards.splice(index, 1);
+    player.playedCards[cardType] += 1;
+    gameState.developmentCardPlayed = true;
+}
+
+module.exports = {
+    PLAYABLE_CARD_TYPES,
+    createDevelopmentDeck,
+    createPlayedCardsTally,
+    getPlayCardError,
+    consumeCard
+};
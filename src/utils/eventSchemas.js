@@ -0,0 +1,180 @@
+const { RESOURCE_TYPES, BOT_DIFFICULTIES, PLAYER_COUNT, PLAYER_COLORS } = require('./gameConstants');
+
+// Declarative shape of every payload a client may send. Each field has a rule
+// { type, optional, ... }. Fields a schema does not list are ignored (the
+// client sends some bookkeeping of its own), but listed fields must match:
+//   string     non-empty string, at most maxLength characters
+//   id         string or finite number identifying something
+//   boolean    true or false
+//   integer    whole number between min and max
+//   enum       one of `values`
+//   resource   one of the five resources
+//   amounts    object of resource -> whole number >= 0, no other keys
+//   array      array whose items all match the `items` rule, `length` long if given
+//   self       the sender's own player name, or an object whose name is it
+
+const name = { type: 'string', maxLength: 30 };
+const id = { type: 'string', maxLength: 100 };
+
+const EVENT_SCHEMAS = {
+    // Lobby
+    'create-game': {
+        playerName: name,
+        seed: { type: 'id', optional: true },
+        private: { type: 'boolean', optional: true },
+        password: { type: 'string', maxLength: 100, optional: true },
+        maxPlayers: { type: 'integer', min: PLAYER_COUNT.min, max: PLAYER_COUNT.max, optional: true }
+    },
+    'join-game': {
+        gameId: { ...id, optional: true },
+        inviteCode: { ...id, optional: true },
+        playerName: name,
+        password: { type: 'string', maxLength: 100, optional: true }
+    },
+    'start-game': {},
+    'leave-game': {},
+    'rejoin-game': { sessionToken: id },
+    'get-games': {},
+    'get-games-in-progress': {},
+    'spectate-game': {
+        gameId: { ...id, optional: true },
+        inviteCode: { ...id, optional: true },
+        password: { type: 'string', maxLength: 100, optional: true }
+    },
+    'stop-spectating': {},
+    'request-sync': {},
+    'add-bot': { difficulty: { type: 'enum', values: BOT_DIFFICULTIES, optional: true } },
+    'remove-bot': { playerName: name },
+    'set-ready': { ready: { type: 'boolean' } },
+    'choose-seat': {
+        seatIndex: { type: 'integer', min: 0, max: PLAYER_COUNT.max - 1, optional: true },
+        color: { type: 'enum', values: PLAYER_COLORS, optional: true }
+    },
+    'kick-player': { playerName: name },
+    'transfer-host': { playerName: name },
+    'game-phase-update': {},
+
+    // Turn actions
+    'roll-dice': {},
+    'build-settlement': { vertexId: id },
+    'build-city': { vertexId: id },
+    'build-road': { edgeId: id },
+    'move-robber': { tileId: id, targetPlayerId: { type: 'id', optional: true } },
+    'bank-trade': { tradingAway: { type: 'amounts' }, receiving: { type: 'amounts' } },
+    'end-turn': {},
+
+    // Development cards
+    'buy-development-card': {},
+    'play-knight': {},
+    'play-road-building': {},
+    'play-year-of-plenty': { resources: { type: 'array', items: { type: 'resource' }, length: 2 } },
+    'play-monopoly': { resource: { type: 'resource' } },
+
+    // Discarding on a 7
+    'discard-cards': {},
+    'start-discard-phase': {},
+    'complete-discard': { discardedResources: { type: 'amounts' } },
+
+    // Player trades
+    'propose-player-trade': {
+        fromPlayer: { type: 'self', optional: true },
+        offering: { type: 'amounts' },
+        requesting: { type: 'amounts' },
+        toPlayers: { type: 'array', items: name, optional: true }
+    },
+    'accept-player-trade': { tradeId: id },
+    'reject-player-trade': { tradeId: id },
+    'counter-player-trade': { tradeId: id, offering: { type: 'amounts' }, requesting: { type: 'amounts' } },
+    'amend-player-trade': { tradeId: id, offering: { type: 'amounts' }, requesting: { type: 'amounts' } },
+    'cancel-player-trade': { tradeId: id },
+    'select-trade-partner': { tradeId: id, selectedPlayerName: name }
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Check one value against a rule. Returns what is wrong with it, or null.
+function checkValue(value, rule, context) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') return 'must be a non-empty string';
+            if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+            return null;
+
+        case 'id':
+            return typeof value === 'string' || Number.isFinite(value) ? null : 'must be a string or number';
+
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+
+        case 'integer':
+            if (!Number.isInteger(value)) return 'must be a whole number';
+            if (value < rule.min || value > rule.max) return `must be between ${rule.min} and ${rule.max}`;
+            return null;
+
+        case 'enum':
+            return rule.values.includes(value) ? null : `must be one of ${rule.values.join(', ')}`;
+
+        case 'resource':
+            return RESOURCE_TYPES.includes(value) ? null : `must be one of ${RESOURCE_TYPES.join(', ')}`;
+
+        case 'amounts': {
+            if (!isPlainObject(value)) return 'must be an object of resource amounts';
+            for (const [resource, amount] of Object.entries(value)) {
+                if (!RESOURCE_TYPES.includes(resource)) return `has unknown resource ${resource}`;
+                if (!Number.isInteger(amount) || amount < 0) return `has an invalid amount of ${resource} (${amount})`;
+            }
+            return null;
+        }
+
+        case 'array': {
+            if (!Array.isArray(value)) return 'must be a list';
+            if (rule.length !== undefined && value.length !== rule.length) return `must have exactly ${rule.length} entries`;
+            for (const item of value) {
+                const problem = checkValue(item, rule.items, context);
+                if (problem) return `has an entry that ${problem}`;
+            }
+            return null;
+        }
+
+        case 'self': {
+            const claimed = isPlainObject(value) ? value.name : value;
+            if (context.playerName && claimed !== context.playerName) return 'must be yourself';
+            return null;
+        }
+
+        default:
+            return null;
+    }
+}
+
+// Check an inbound event's payload against its schema. `playerName` is the
+// sender's identity as the server knows it. Returns the reason the payload
+// is rejected, or null. Events without a schema are not checked.
+function validateEventPayload(event, data, { playerName = null } = {}) {
+    const schema = EVENT_SCHEMAS[event];
+    if (!schema) return null;
+
+    if (data !== undefined && data !== null && !isPlainObject(data)) {
+        return 'Invalid payload: expected an object';
+    }
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = data ? data[field] : undefined;
+        if (value === undefined || value === null) {
+            if (rule.optional) continue;
+            return `Invalid payload: ${field} is required`;
+        }
+
+        const problem = checkValue(value, rule, { playerName });
+        if (problem) return `Invalid payload: ${field} ${problem}`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    EVENT_SCHEMAS,
+    validateEventPayload
+};
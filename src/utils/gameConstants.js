@@ -37,3 +37,65 @@ export const BUILDING_RULES = {
         maxPerPlayer: 15 // Maximum number of roads per player
     }
 };
+
+// The five resources a player can hold
+export const RESOURCE_TYPES = ['wood', 'brick', 'wool', 'grain', 'ore'];
+
+// Development deck composition (25 cards)
+export const DEVELOPMENT_CARD_COUNTS = {
+    knight: 14,
+    victoryPoint: 5,
+    roadBuilding: 2,
+    yearOfPlenty: 2,
+    monopoly: 2
+};
+
+// Bonus cards worth victory points
+export const BONUS_CARDS = {
+    LONGEST_ROAD: {
+        minLength: 5, // Continuous road segments needed to claim the card
+        points: 2
+    },
+    LARGEST_ARMY: {
+        minKnights: 3, // Knights played needed to claim the card
+        points: 2
+    }
+};
+
+// Victory points needed to win, counted on the player's own turn
+export const VICTORY_POINTS_TO_WIN = 10;
+
+// Cards given per card received when trading with the bank
+export const TRADE_RATIOS = {
+    bank: 4, // No harbor
+    general: 3, // 3:1 harbor, any resource
+    resource: 2 // 2:1 harbor, its own resource only
+};
+
+// Game phases as sent to clients
+export const GAME_PHASES = {
+    SETUP: 'SETUP', // Snake draft placement of two settlements and roads each
+    PLAY: 'PLAY',
+    ENDED: 'ENDED'
+};
+
+// Resource produced by each terrain (the desert produces nothing)
+export const TILE_RESOURCES = {
+    forest: 'wood',
+    hill: 'brick',
+    pasture: 'wool',
+    field: 'grain',
+    mountain: 'ore'
+};
+
+// Skill levels the host can pick when adding a bot
+export const BOT_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Seats at a table; the standard board is built for up to four players
+export const PLAYER_COUNT = {
+    min: 2,
+    max: 4
+};
+
+// Colors players can pick in the lobby, in the order the client assigns them by seat
+export const PLAYER_COLORS = ['red', 'blue', 'orange', 'white'];
@@ -0,0 +1,26 @@
+const { TRADE_RATIOS } = require('./gameConstants');
+
+// Harbors a player can use: any harbor touching one of their settlements or cities
+function getPlayerHarbors(gameState, player) {
+    const ownedVertices = new Set(
+        [...(player.settlements || []), ...(player.cities || [])].map(b => b.vertexId)
+    );
+    return (gameState.harbors || []).filter(harbor =>
+        harbor.vertices.some(vertexId => ownedVertices.has(vertexId))
+    );
+}
+
+// Best number of cards the player must give the bank per card of this resource
+function getTradeRatio(gameState, player, resource) {
+    return getPlayerHarbors(gameState, player).reduce((best, harbor) => {
+        if (harbor.type === 'general' || harbor.type === resource) {
+            return Math.min(best, harbor.ratio);
+        }
+        return best;
+    }, TRADE_RATIOS.bank);
+}
+
+module.exports = {
+    getPlayerHarbors,
+    getTradeRatio
+};
@@ -0,0 +1,68 @@
+const { BONUS_CARDS } = require('./gameConstants');
+const boardTopology = require('./boardTopology');
+const { getBuildingAt } = require('./placementRules');
+
+// Length of the longest continuous road a player owns. A road may branch and
+// loop but never reuses a segment, and it cannot run through a vertex where
+// an opponent has a settlement or city.
+function calculateLongestRoad(gameState, player) {
+    const ownEdges = new Set((player.roads || []).map(r => r.edgeId));
+    const isBlocked = vertexId => {
+        const building = getBuildingAt(gameState, vertexId);
+        return Boolean(building && building.player !== player);
+    };
+
+    const usedEdges = new Set();
+    function longestFrom(vertexId) {
+        let best = 0;
+        boardTopology.getVertex(vertexId).edges.forEach(edgeId => {
+            if (!ownEdges.has(edgeId) || usedEdges.has(edgeId)) return;
+
+            const [a, b] = boardTopology.getEdge(edgeId).vertices;
+            const next = a === vertexId ? b : a;
+            usedEdges.add(edgeId);
+            best = Math.max(best, 1 + (isBlocked(next) ? 0 : longestFrom(next)));
+            usedEdges.delete(edgeId);
+        });
+        return best;
+    }
+
+    const startVertices = new Set();
+    ownEdges.forEach(edgeId => {
+        boardTopology.getEdge(edgeId).vertices.forEach(vertexId => startVertices.add(vertexId));
+    });
+
+    let longest = 0;
+    startVertices.forEach(vertexId => {
+        longest = Math.max(longest, longestFrom(vertexId));
+    });
+    return longest;
+}
+
+// Recompute every player's road length and decide who holds the Longest Road
+// card. The holder keeps it on a tie; when the holder is overtaken or cut
+// below the minimum, it passes to the single longest road, or to nobody if
+// several players tie for longest. Returns the new holder's name or null.
+function determineLongestRoadHolder(gameState) {
+    const { minLength } = BONUS_CARDS.LONGEST_ROAD;
+    const lengths = new Map(gameState.players.map(player =>
+        [player.name, calculateLongestRoad(gameState, player)]
+    ));
+    gameState.players.forEach(player => {
+        player.longestRoadLength = lengths.get(player.name);
+    });
+
+    const longest = Math.max(0, ...lengths.values());
+    if (longest < minLength) return null;
+
+    const holder = gameState.longestRoad ? gameState.longestRoad.playerName : null;
+    if (holder && lengths.get(holder) === longest) return holder;
+
+    const leaders = Array.from(lengths.entries()).filter(([, length]) => length === longest);
+    return leaders.length === 1 ? leaders[0][0] : null;
+}
+
+module.exports = {
+    calculateLongestRoad,
+    determineLongestRoadHolder
+};
@@ -0,0 +1,154 @@
+const { BUILDING_COSTS, BUILDING_RULES } = require('./gameConstants');
+const boardTopology = require('./boardTopology');
+
+// Placement validators return a human readable reason when a build is not
+// allowed, or null when it is. They only read game state, never modify it.
+
+// Find the settlement or city standing on a vertex, if any
+function getBuildingAt(gameState, vertexId) {
+    for (const player of gameState.players || []) {
+        if ((player.settlements || []).some(s => s.vertexId === vertexId)) {
+            return { player, type: 'settlement' };
+        }
+        if ((player.cities || []).some(c => c.vertexId === vertexId)) {
+            return { player, type: 'city' };
+        }
+    }
+    return null;
+}
+
+function canAfford(player, buildingType) {
+    return Object.entries(BUILDING_COSTS[buildingType]).every(([resource, amount]) =>
+        (player.resources[resource] || 0) >= amount
+    );
+}
+
+// Vertices closer than `distance` edges to the given vertex (excluding itself)
+function getVerticesWithin(vertexId, distance) {
+    const seen = new Set([vertexId]);
+    let frontier = [vertexId];
+    for (let step = 1; step < distance; step++) {
+        frontier = frontier
+            .flatMap(id => boardTopology.getVertex(id).adjacentVertices)
+            .filter(id => !seen.has(id));
+        frontier.forEach(id => seen.add(id));
+    }
+    seen.delete(vertexId);
+    return Array.from(seen);
+}
+
+function validateSettlementPlacement(gameState, player, vertexId, { isSetup = false } = {}) {
+    const rules = BUILDING_RULES.SETTLEMENT;
+    const vertex = boardTopology.getVertex(vertexId);
+    if (!vertex) {
+        return `Unknown vertex ${vertexId}`;
+    }
+
+    const existing = getBuildingAt(gameState, vertexId);
+    if (existing) {
+        return `That spot already has a ${existing.type} owned by ${existing.player.name}`;
+    }
+
+    const tooClose = getVerticesWithin(vertexId, rules.minDistanceFromSettlement)
+        .find(id => getBuildingAt(gameState, id));
+    if (tooClose) {
+        return `Settlements must be at least ${rules.minDistanceFromSettlement} intersections apart (building at ${tooClose})`;
+    }
+
+    if (rules.requiresConnectedRoad && !isSetup) {
+        const ownRoads = new Set((player.roads || []).map(r => r.edgeId));
+        if (!vertex.edges.some(edgeId => ownRoads.has(edgeId))) {
+            return 'Settlements must connect to one of your roads';
+        }
+    }
+
+    if ((player.settlements || []).length >= rules.maxPerPlayer) {
+        return `You cannot have more than ${rules.maxPerPlayer} settlements on the board`;
+    }
+
+    if (!isSetup && !canAfford(player, 'SETTLEMENT')) {
+        return 'Not enough resources to build a settlement';
+    }
+
+    return null;
+}
+
+function getRoadOwner(gameState, edgeId) {
+    return (gameState.players || []).find(player =>
+        (player.roads || []).some(r => r.edgeId === edgeId)
+    ) || null;
+}
+
+// A road extends a player's network from a vertex if they have a building
+// there, or one of their roads ends there and no opponent building cuts it
+function extendsNetworkFrom(gameState, player, vertexId) {
+    const building = getBuildingAt(gameState, vertexId);
+    if (building) {
+        return building.player === player;
+    }
+
+    return boardTopology.getVertex(vertexId).edges.some(edgeId =>
+        (player.roads || []).some(r => r.edgeId === edgeId)
+    );
+}
+
+function validateRoadPlacement(gameState, player, edgeId, { isSetup = false, free = false } = {}) {
+    const rules = BUILDING_RULES.ROAD;
+    const edge = boardTopology.getEdge(edgeId);
+    if (!edge) {
+        return `Unknown edge ${edgeId}`;
+    }
+
+    const owner = getRoadOwner(gameState, edgeId);
+    if (owner) {
+        return `That edge already has a road owned by ${owner.name}`;
+    }
+
+    if (rules.requiresConnection &&
+        !edge.vertices.some(vertexId => extendsNetworkFrom(gameState, player, vertexId))) {
+        return 'Roads must connect to one of your settlements, cities or roads';
+    }
+
+    if ((player.roads || []).length >= rules.maxPerPlayer) {
+        return `You cannot have more than ${rules.maxPerPlayer} roads on the board`;
+    }
+
+    // Setup roads and road building card roads cost nothing
+    if (!isSetup && !free && !canAfford(player, 'ROAD')) {
+        return 'Not enough resources to build a road';
+    }
+
+    return null;
+}
+
+function validateCityPlacement(gameState, player, vertexId) {
+    const rules = BUILDING_RULES.CITY;
+    if (!boardTopology.getVertex(vertexId)) {
+        return `Unknown vertex ${vertexId}`;
+    }
+
+    if (rules.requiresSettlement &&
+        !(player.settlements || []).some(s => s.vertexId === vertexId)) {
+        return 'Cities can only be built by upgrading one of your settlements';
+    }
+
+    if ((player.cities || []).length >= rules.maxPerPlayer) {
+        return `You cannot have more than ${rules.maxPerPlayer} cities on the board`;
+    }
+
+    if (!canAfford(player, 'CITY')) {
+        return 'Not enough resources to build a city';
+    }
+
+    return null;
+}
+
+module.exports = {
+    getBuildingAt,
+    getRoadOwner,
+    canAfford,
+    extendsNetworkFrom,
+    validateSettlementPlacement,
+    validateRoadPlacement,
+    validateCityPlacement
+};
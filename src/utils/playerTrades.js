@@ -0,0 +1,77 @@
+const { RESOURCE_TYPES } = require('./gameConstants');
+const { countCards } = require('./cards');
+
+// Rules for trades between players. The current player is always on one
+// side: they can make offers to anyone, everyone else can only make offers
+// to them. Offers are { offering, requesting } from the proposer's side.
+
+function hasCards(player, amounts) {
+    return Object.entries(amounts).every(([resource, amount]) => (player.resources[resource] || 0) >= amount);
+}
+
+// Check the terms `player` wants to offer. Returns the reason they are not
+// allowed, or null.
+function getOfferError(player, offering, requesting) {
+    if (countCards(offering) === 0 || countCards(requesting) === 0) {
+        return 'A trade needs cards on both sides';
+    }
+
+    if (RESOURCE_TYPES.some(resource => offering[resource] > 0 && requesting[resource] > 0)) {
+        return 'You cannot offer and ask for the same resource';
+    }
+
+    if (!hasCards(player, offering)) {
+        return 'You do not have the cards you are offering';
+    }
+
+    return null;
+}
+
+// Who an offer from `proposer` goes to. The current player may name any of
+// the others in `toPlayers` (everyone when it is not given); anyone else
+// trades with the current player only. Returns { recipients } or { error }.
+function getTradeRecipients(gameState, proposer, toPlayers) {
+    const currentPlayer = gameState.players[gameState.currentPlayerIndex];
+    if (proposer !== currentPlayer) {
+        if (toPlayers && (toPlayers.length !== 1 || toPlayers[0] !== currentPlayer.name)) {
+            return { error: `You can only trade with ${currentPlayer.name} during their turn` };
+        }
+        return { recipients: [currentPlayer.name] };
+    }
+
+    const others = gameState.players.filter(player => player !== proposer && !player.hasLeft).map(player => player.name);
+    if (!toPlayers) return { recipients: others };
+    if (toPlayers.length === 0) return { error: 'Name at least one player to trade with' };
+
+    const unknown = toPlayers.find(name => !others.includes(name));
+    if (unknown) return { error: `${unknown} is not another player in this game` };
+
+    return { recipients: [...new Set(toPlayers)] };
+}
+
+// Swap the cards of an offer between its proposer and the partner who took
+// it. Returns the reason it cannot go ahead, or null once the cards moved.
+function exchangeCards(proposer, partner, tradeOffer) {
+    if (!hasCards(proposer, tradeOffer.offering)) {
+        return `${proposer.name} no longer has the cards offered`;
+    }
+    if (!hasCards(partner, tradeOffer.requesting)) {
+        return `${partner.name} does not have the cards requested`;
+    }
+
+    Object.entries(tradeOffer.offering).forEach(([resource, amount]) => {
+        proposer.resources[resource] -= amount;
+        partner.resources[resource] += amount;
+    });
+    Object.entries(tradeOffer.requesting).forEach(([resource, amount]) => {
+        partner.resources[resource] -= amount;
+        proposer.resources[resource] += amount;
+    });
+    return null;
+}
+
+module.exports = {
+    getOfferError,
+    getTradeRecipients,
+    exchangeCards
+};
@@ -0,0 +1,59 @@
+const { countCards } = require('./cards');
+
+// What each viewer may see of a game. Players see their own hand and
+// development cards; everyone else's are hidden behind card counts. A
+// spectator (no viewer name) sees every hand as counts. Everything on the
+// board is public.
+
+function getPublicPlayer(player) {
+    const { resources, developmentCards, ...publicPlayer } = player;
+    return {
+        ...publicPlayer,
+        resourceCount: countCards(resources),
+        developmentCardCount: (developmentCards || []).length
+    };
+}
+
+function getPlayerForViewer(player, viewerName) {
+    return player.name === viewerName ? player : getPublicPlayer(player);
+}
+
+function getGameStateForViewer(gameState, viewerName = null) {
+    if (!gameState || !gameState.players) return gameState;
+    return { ...gameState, players: gameState.players.map(player => getPlayerForViewer(player, viewerName)) };
+}
+
+function getPublicGameState(gameState) {
+    return getGameStateForViewer(gameState, null);
+}
+
+// Copy of an event payload as `viewerName` may see it. The resource taken by
+// the robber is only shown to the thief (playerName) and the victim
+// (targetPlayerName).
+function getPayloadForViewer(payload, viewerName = null) {
+    if (!payload || typeof payload !== 'object') return payload;
+
+    const view = { ...payload };
+    if (Array.isArray(payload.playerResources)) {
+        view.playerResources = payload.playerResources.map(player => getPlayerForViewer(player, viewerName));
+    }
+    if (payload.gameState) {
+        view.gameState = getGameStateForViewer(payload.gameState, viewerName);
+    }
+    if (payload.gameData && payload.gameData.gameState) {
+        view.gameData = { ...payload.gameData, gameState: getGameStateForViewer(payload.gameData.gameState, viewerName) };
+    }
+    if ('stolenResource' in payload) {
+        const involved = viewerName && (viewerName === payload.playerName || viewerName === payload.targetPlayerName);
+        view.stolenResource = involved ? payload.stolenResource : null;
+        view.resourceStolen = Boolean(payload.stolenResource);
+    }
+    return view;
+}
+
+module.exports = {
+    getPublicPlayer,
+    getGameStateForViewer,
+    getPublicGameState,
+    getPayloadForViewer
+};
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+// Seeded pseudo random numbers (mulberry32). A game keeps its generator as
+// plain data, { seed, state }, so it is saved and restored along with the
+// game, and the same seed deals the same board, deck, dice and steals.
+
+// Turn any seed (number or string) into a 32-bit starting state
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+    }
+    return hash >>> 0;
+}
+
+function generateSeed() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+function createRandom(seed = generateSeed()) {
+    return { seed: String(seed), state: hashSeed(seed) };
+}
+
+// Next float in [0, 1); advances the generator
+function nextRandom(random) {
+    random.state = (random.state + 0x6D2B79F5) >>> 0;
+    let t = random.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Integer in [0, max)
+function randomInt(random, max) {
+    return Math.floor(nextRandom(random) * max);
+}
+
+// Shuffle a copy of an array using Fisher-Yates
+function shuffle(random, array) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = randomInt(random, i + 1);
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+module.exports = {
+    createRandom,
+    nextRandom,
+    randomInt,
+    shuffle
+};
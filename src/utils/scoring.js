@@ -0,0 +1,83 @@
+const { BONUS_CARDS, VICTORY_POINTS_TO_WIN } = require('./gameConstants');
+
+function holdsBonusCard(award, player) {
+    return Boolean(award && award.playerName === player.name);
+}
+
+// Public victory points: buildings plus Longest Road and Largest Army.
+// Victory point development cards stay hidden until the game is decided.
+function calculatePoints(gameState, player) {
+    let points = (player.settlements ? player.settlements.length : 0) +
+        (player.cities ? player.cities.length * 2 : 0);
+
+    if (holdsBonusCard(gameState.longestRoad, player)) {
+        points += BONUS_CARDS.LONGEST_ROAD.points;
+    }
+    if (holdsBonusCard(gameState.largestArmy, player)) {
+        points += BONUS_CARDS.LARGEST_ARMY.points;
+    }
+
+    return points;
+}
+
+// The one place player.points is written
+function updatePoints(gameState) {
+    gameState.players.forEach(player => {
+        player.points = calculatePoints(gameState, player);
+    });
+}
+
+// Where a player's points come from, including hidden victory point cards
+function getScoreBreakdown(gameState, player) {
+    const breakdown = {
+        settlements: player.settlements ? player.settlements.length : 0,
+        cities: (player.cities ? player.cities.length : 0) * 2,
+        longestRoad: holdsBonusCard(gameState.longestRoad, player) ? BONUS_CARDS.LONGEST_ROAD.points : 0,
+        largestArmy: holdsBonusCard(gameState.largestArmy, player) ? BONUS_CARDS.LARGEST_ARMY.points : 0,
+        victoryPointCards: (player.developmentCards || []).filter(card => card.type === 'victoryPoint').length
+    };
+    breakdown.total = Object.values(breakdown).reduce((sum, points) => sum + points, 0);
+    return breakdown;
+}
+
+function hasWon(gameState, player) {
+    return getScoreBreakdown(gameState, player).total >= VICTORY_POINTS_TO_WIN;
+}
+
+// Final standings, highest total first
+function getStandings(gameState) {
+    return gameState.players
+        .map(player => ({ name: player.name, ...getScoreBreakdown(gameState, player) }))
+        .sort((a, b) => b.total - a.total);
+}
+
+// Largest Army goes to the first player to play the minimum number of knights
+// and only moves when another player strictly exceeds the holder's count.
+// Returns the holder's name or null.
+function determineLargestArmyHolder(gameState) {
+    const { minKnights } = BONUS_CARDS.LARGEST_ARMY;
+    const knights = player => (player.playedCards ? player.playedCards.knight : 0);
+
+    let holder = gameState.largestArmy
+        ? gameState.players.find(p => p.name === gameState.largestArmy.playerName) || null
+        : null;
+    let mostKnights = holder ? knights(holder) : minKnights - 1;
+
+    gameState.players.forEach(player => {
+        if (knights(player) > mostKnights) {
+            holder = player;
+            mostKnights = knights(player);
+        }
+    });
+
+    return holder ? holder.name : null;
+}
+
+module.exports = {
+    calculatePoints,
+    updatePoints,
+    getScoreBreakdown,
+    hasWon,
+    getStandings,
+    determineLargestArmyHolder
+};
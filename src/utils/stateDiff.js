@@ -0,0 +1,60 @@
+// Structural diffs between two JSON-safe values. A diff is a list of changes:
+//   { path: ['players', 0, 'resources', 'wood'], value: 3 }  set a value
+//   { path: ['discardPhase'], removed: true }                  delete a key
+// Arrays that keep their length are diffed element by element; arrays that
+// grow or shrink are replaced whole, which keeps patches simple to apply.
+
+function isObject(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function diffState(before, after, path = [], changes = []) {
+    if (before === after) return changes;
+
+    const bothArrays = Array.isArray(before) && Array.isArray(after);
+    const bothObjects = isObject(before) && isObject(after) &&
+        !Array.isArray(before) && !Array.isArray(after);
+
+    if (bothArrays && before.length === after.length) {
+        after.forEach((item, index) => diffState(before[index], item, [...path, index], changes));
+    } else if (bothObjects) {
+        Object.keys(before).forEach(key => {
+            if (!(key in after) || after[key] === undefined) {
+                if (before[key] !== undefined) changes.push({ path: [...path, key], removed: true });
+            }
+        });
+        Object.keys(after).forEach(key => {
+            if (after[key] !== undefined) diffState(before[key], after[key], [...path, key], changes);
+        });
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path, value: structuredClone(after) });
+    }
+
+    return changes;
+}
+
+// Apply changes from diffState to a value in place and return it. A change
+// with an empty path replaces the whole value, so callers should use the result.
+function applyDiff(state, changes) {
+    let root = state;
+    changes.forEach(({ path, value, removed }) => {
+        if (path.length === 0) {
+            root = structuredClone(value);
+            return;
+        }
+
+        const parent = path.slice(0, -1).reduce((node, key) => node[key], root);
+        const key = path[path.length - 1];
+        if (removed) {
+            delete parent[key];
+        } else {
+            parent[key] = structuredClone(value);
+        }
+    });
+    return root;
+}
+
+module.exports = {
+    diffState,
+    applyDiff
+};
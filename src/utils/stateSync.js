@@ -0,0 +1,43 @@
+const { diffState } = require('./stateDiff');
+const { getGameStateForViewer } = require('./publicView');
+
+// Versioned game state for clients. Every accepted action bumps
+// game.revision and each viewer gets a patch from their previous view to
+// the new one, as { gameId, revision, changes } (see stateDiff for the change
+// format). A client that sees a revision other than the one after its last
+// should send request-sync for a full snapshot.
+
+// What a viewer is synced with, built from a replayable state (see
+// actionLog). The deck order never leaves the server.
+function getSyncState(state, viewerName = null) {
+    return {
+        status: state.status,
+        winner: state.winner,
+        gameState: getGameStateForViewer(state.gameState, viewerName),
+        discardPhase: state.discardPhase,
+        pendingTrades: state.pendingTrades
+    };
+}
+
+function getStatePatch(before, after, viewerName = null) {
+    return diffState(getSyncState(before, viewerName), getSyncState(after, viewerName));
+}
+
+// Clients that apply patches do not need the full state some events still
+// carry for older clients
+function withoutFullState(payload) {
+    if (!payload || typeof payload !== 'object') return payload;
+
+    const { playerResources, gameState, ...compact } = payload;
+    if (payload.gameData && payload.gameData.gameState) {
+        const { gameState: omitted, ...gameData } = payload.gameData;
+        compact.gameData = gameData;
+    }
+    return compact;
+}
+
+module.exports = {
+    getSyncState,
+    getStatePatch,
+    withoutFullState
+};
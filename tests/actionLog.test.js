@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffState, applyDiff } = require('../src/utils/stateDiff');
+const { getReplayableState, createActionLog, recordAction, replayTo } = require('../src/utils/actionLog');
+const { createPlayer, createGameState } = require('./helpers');
+
+test('diffState sets changed values and removes deleted keys', () => {
+    const before = { a: 1, b: { c: 2, d: 3 }, gone: true };
+    const after = { a: 1, b: { c: 5, d: 3 }, added: 'x' };
+
+    assert.deepEqual(diffState(before, after), [
+        { path: ['gone'], removed: true },
+        { path: ['b', 'c'], value: 5 },
+        { path: ['added'], value: 'x' }
+    ]);
+    assert.deepEqual(diffState(before, structuredClone(before)), []);
+});
+
+test('diffState diffs same-length arrays per item and replaces resized ones', () => {
+    assert.deepEqual(diffState({ list: [1, 2, 3] }, { list: [1, 9, 3] }), [{ path: ['list', 1], value: 9 }]);
+    assert.deepEqual(diffState({ list: [1, 2] }, { list: [1, 2, 3] }), [{ path: ['list'], value: [1, 2, 3] }]);
+});
+
+test('applyDiff turns the before state into the after state', () => {
+    const before = { players: [{ name: 'Ann', wood: 1 }], discardPhase: { waiting: ['Ann'] }, turn: 1 };
+    const after = { players: [{ name: 'Ann', wood: 3 }, { name: 'Bob', wood: 0 }], turn: 2 };
+
+    const result = applyDiff(structuredClone(before), diffState(before, after));
+    assert.deepEqual(result, after);
+
+    // Patches never share objects with the state they were made from
+    const changes = diffState(before, after);
+    after.players[1].wood = 7;
+    assert.equal(applyDiff(structuredClone(before), changes).players[1].wood, 0);
+});
+
+test('applyDiff with an empty path replaces the whole value', () => {
+    assert.deepEqual(applyDiff({ a: 1 }, diffState({ a: 1 }, [1, 2])), [1, 2]);
+});
+
+function createGame() {
+    const game = {
+        status: 'playing',
+        gameState: createGameState([createPlayer('Ann'), createPlayer('Bob')], { turnNumber: 0 }),
+        developmentDeck: ['knight', 'monopoly'],
+        pendingTrades: new Map()
+    };
+    createActionLog(game);
+    return game;
+}
+
+test('recordAction logs only actions that changed the game', () => {
+    const game = createGame();
+
+    const unchanged = getReplayableState(game);
+    assert.equal(recordAction(game, unchanged, { type: 'end-turn', playerName: 'Ann' }), null);
+
+    const before = getReplayableState(game);
+    game.gameState.players[0].resources.wood += 2;
+    const event = recordAction(game, before, { type: 'roll-dice', playerName: 'Ann', payload: { total: 8 } });
+
+    assert.equal(event.seq, 1);
+    assert.equal(event.type, 'roll-dice');
+    assert.deepEqual(event.payload, { total: 8 });
+    assert.deepEqual(event.changes, [{ path: ['gameState', 'players', 0, 'resources', 'wood'], value: 2 }]);
+    assert.equal(game.actionLog.events.length, 1);
+});
+
+test('replayTo rebuilds the state after any number of events', () => {
+    const game = createGame();
+    const states = [getReplayableState(game)];
+
+    const act = (type, change) => {
+        const before = getReplayableState(game);
+        change();
+        recordAction(game, before, { type, playerName: 'Ann' });
+        states.push(getReplayableState(game));
+    };
+    act('build-road', () => game.gameState.players[0].roads.push({ edgeId: 'e-19' }));
+    act('buy-development-card', () => {
+        game.gameState.players[0].developmentCards.push({ type: game.developmentDeck.shift(), boughtOnTurn: 0 });
+    });
+    act('propose-player-trade', () => game.pendingTrades.set('t1', { id: 't1', status: 'pending' }));
+    act('end-turn', () => {
+        game.pendingTrades.clear();
+        game.gameState.currentPlayerIndex = 1;
+    });
+
+    states.forEach((state, index) => assert.deepEqual(replayTo(game.actionLog, index), state));
+    assert.deepEqual(replayTo(game.actionLog), getReplayableState(game));
+    assert.throws(() => replayTo(game.actionLog, 99), RangeError);
+    assert.throws(() => replayTo(game.actionLog, -1), RangeError);
+});
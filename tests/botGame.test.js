@@ -0,0 +1,139 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { io } = require('socket.io-client');
+const { decideAction } = require('../src/bots/strategy');
+const { createRandom } = require('../src/utils/random');
+const { applyDiff } = require('../src/utils/stateDiff');
+const { replayTo } = require('../src/utils/actionLog');
+
+// Plays a whole game over real sockets: a host and three server-side bots.
+// The host is driven by the bot strategy too, but only sees what any client
+// sees: a state-sync snapshot kept up to date with state-patch events.
+
+const PORT = 40000 + Math.floor(Math.random() * 10000);
+let server;
+
+function once(socket, event, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeoutMs);
+        socket.once(event, data => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '../src/index.js')], {
+        env: { ...process.env, PORT: String(PORT), GAME_STORE: 'memory', BOT_ACTION_DELAY_MS: '0', GAME_SEED: '' },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    server.stderr.resume();
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Server did not start')), 10000);
+        let output = '';
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+    });
+});
+
+after(() => {
+    server.kill();
+});
+
+test('a game with three bots is played through to a winner', { timeout: 120000 }, async () => {
+    const host = io(`http://localhost:${PORT}`, { transports: ['websocket'], auth: { statePatches: true } });
+
+    try {
+        host.emit('create-game', { playerName: 'Host', seed: 'bot-game-test' });
+        const { gameId } = await once(host, 'game-created');
+
+        for (const difficulty of ['easy', 'medium', 'hard']) {
+            host.emit('add-bot', { difficulty });
+            await once(host, 'player-joined');
+        }
+
+        const ended = once(host, 'game-ended', 110000);
+        host.emit('start-game');
+        await once(host, 'game-started');
+
+        const random = createRandom('host');
+        const errors = [];
+        let view = null;
+        let revision = -1;
+        let actedAt = null;
+
+        // Take one action per revision the host has not acted on yet
+        const act = () => {
+            if (!view || actedAt === revision) return;
+            const action = decideAction(view, 'Host', 'medium', random);
+            if (!action) return;
+            actedAt = revision;
+            host.emit(action.event, action.data);
+        };
+
+        host.on('state-sync', sync => {
+            view = { ...sync.state, pendingTrades: new Map(Object.entries(sync.state.pendingTrades || {})) };
+            revision = sync.revision;
+            act();
+        });
+
+        host.on('state-patch', patch => {
+            if (!view || patch.revision <= revision) return;
+            if (patch.revision !== revision + 1) {
+                errors.push(`Missed a revision: had ${revision}, got ${patch.revision}`);
+                return;
+            }
+
+            const state = applyDiff({ ...view, pendingTrades: Object.fromEntries(view.pendingTrades) }, patch.changes);
+            view = { ...state, pendingTrades: new Map(Object.entries(state.pendingTrades || {})) };
+            revision = patch.revision;
+            act();
+        });
+
+        // A refused action leaves the host stuck mid-turn, like a stuck bot
+        host.on('action-error', error => {
+            errors.push(`${error.action}: ${error.message}`);
+            const current = view.gameState.players[view.gameState.currentPlayerIndex];
+            if (current.name === 'Host' && view.gameState.hasRolled) host.emit('end-turn');
+        });
+
+        host.emit('request-sync');
+        const result = await ended;
+
+        const winner = result.standings[0];
+        assert.equal(result.winner, winner.name);
+        assert.ok(winner.total >= 10, `${winner.name} won with ${winner.total} points`);
+        assert.deepEqual(result.standings.map(s => s.name).sort(), ['Bot 1', 'Bot 2', 'Bot 3', 'Host']);
+
+        // The host played its part: both setup settlements at least
+        const hostScore = result.standings.find(s => s.name === 'Host');
+        assert.ok(hostScore.settlements + hostScore.cities / 2 >= 2);
+        assert.ok(!errors.some(error => error.startsWith('Missed')), errors.join('\n'));
+
+        // The patched view agrees with a fresh snapshot
+        const finalSync = once(host, 'state-sync');
+        host.emit('request-sync');
+        const { state } = await finalSync;
+        assert.equal(state.status, 'ended');
+        assert.deepEqual({ ...view, pendingTrades: Object.fromEntries(view.pendingTrades) }, state);
+
+        // The logged actions replay to the finished game
+        const response = await fetch(`http://localhost:${PORT}/api/games/${gameId}/replay`);
+        assert.equal(response.status, 200);
+        const replay = await response.json();
+        const replayed = replayTo(replay);
+        assert.equal(replayed.status, 'ended');
+        assert.equal(replayed.winner, result.winner);
+    } finally {
+        host.close();
+    }
+});
@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateEventPayload } = require('../src/utils/eventSchemas');
+
+test('valid payloads pass and unknown events are not checked', () => {
+    assert.equal(validateEventPayload('create-game', { playerName: 'Ann', maxPlayers: 3, private: true }), null);
+    assert.equal(validateEventPayload('end-turn', undefined), null);
+    assert.equal(validateEventPayload('no-such-event', 42), null);
+});
+
+test('payloads must be objects', () => {
+    assert.equal(validateEventPayload('build-road', 'e-19'), 'Invalid payload: expected an object');
+    assert.equal(validateEventPayload('build-road', ['e-19']), 'Invalid payload: expected an object');
+});
+
+test('required fields must be present; optional ones may be missing or null', () => {
+    assert.equal(validateEventPayload('build-road', {}), 'Invalid payload: edgeId is required');
+    assert.equal(validateEventPayload('create-game', { playerName: 'Ann', maxPlayers: null, seed: null }), null);
+});
+
+test('strings must be non-empty and short enough', () => {
+    assert.equal(validateEventPayload('create-game', { playerName: '  ' }),
+        'Invalid payload: playerName must be a non-empty string');
+    assert.equal(validateEventPayload('create-game', { playerName: 'x'.repeat(31) }),
+        'Invalid payload: playerName must be at most 30 characters');
+});
+
+test('integers, booleans and enums are checked', () => {
+    assert.equal(validateEventPayload('create-game', { playerName: 'Ann', maxPlayers: 5 }),
+        'Invalid payload: maxPlayers must be between 2 and 4');
+    assert.equal(validateEventPayload('create-game', { playerName: 'Ann', maxPlayers: 2.5 }),
+        'Invalid payload: maxPlayers must be a whole number');
+    assert.equal(validateEventPayload('set-ready', { ready: 'yes' }), 'Invalid payload: ready must be true or false');
+    assert.match(validateEventPayload('add-bot', { difficulty: 'nightmare' }), /difficulty must be one of easy, medium, hard/);
+});
+
+test('resource amounts only take known resources and whole numbers', () => {
+    assert.equal(validateEventPayload('bank-trade', { tradingAway: { wood: 4 }, receiving: { ore: 1 } }), null);
+    assert.equal(validateEventPayload('bank-trade', { tradingAway: { gold: 1 }, receiving: { ore: 1 } }),
+        'Invalid payload: tradingAway has unknown resource gold');
+    assert.equal(validateEventPayload('bank-trade', { tradingAway: { wood: -1 }, receiving: { ore: 1 } }),
+        'Invalid payload: tradingAway has an invalid amount of wood (-1)');
+    assert.equal(validateEventPayload('bank-trade', { tradingAway: [], receiving: { ore: 1 } }),
+        'Invalid payload: tradingAway must be an object of resource amounts');
+});
+
+test('lists check their length and every entry', () => {
+    assert.equal(validateEventPayload('play-year-of-plenty', { resources: ['wood', 'ore'] }), null);
+    assert.equal(validateEventPayload('play-year-of-plenty', { resources: ['wood'] }),
+        'Invalid payload: resources must have exactly 2 entries');
+    assert.match(validateEventPayload('play-year-of-plenty', { resources: ['wood', 'gold'] }),
+        /resources has an entry that must be one of/);
+});
+
+test('a trade proposer can only name themselves', () => {
+    const offer = { offering: { wood: 1 }, requesting: { ore: 1 } };
+
+    assert.equal(validateEventPayload('propose-player-trade', { ...offer, fromPlayer: { name: 'Ann' } }, { playerName: 'Ann' }), null);
+    assert.equal(validateEventPayload('propose-player-trade', { ...offer, fromPlayer: 'Bob' }, { playerName: 'Ann' }),
+        'Invalid payload: fromPlayer must be yourself');
+});
+
+test('spectators may give a password', () => {
+    assert.equal(validateEventPayload('spectate-game', { gameId: 'GAME1', password: 'secret' }), null);
+    assert.equal(validateEventPayload('spectate-game', { gameId: 'GAME1', password: 7 }),
+        'Invalid payload: password must be a non-empty string');
+});
@@ -0,0 +1,50 @@
+const boardTopology = require('../src/utils/boardTopology');
+const { createPlayedCardsTally } = require('../src/utils/developmentCards');
+
+// Small builders for game states in unit tests
+
+function createPlayer(name, overrides = {}) {
+    return {
+        id: overrides.id || name,
+        name,
+        resources: { wood: 0, brick: 0, wool: 0, grain: 0, ore: 0 },
+        settlements: [],
+        cities: [],
+        roads: [],
+        points: 0,
+        developmentCards: [],
+        playedCards: createPlayedCardsTally(),
+        ...overrides
+    };
+}
+
+function createGameState(players, overrides = {}) {
+    return {
+        players,
+        currentPlayerIndex: 0,
+        longestRoad: null,
+        largestArmy: null,
+        ...overrides
+    };
+}
+
+// A simple path of `length` edges from a vertex, never revisiting a vertex.
+// Returns the vertices in order and the edges between them.
+function walkPath(startVertexId, length) {
+    const vertices = [startVertexId];
+    const edges = [];
+    while (edges.length < length) {
+        const current = vertices[vertices.length - 1];
+        const next = boardTopology.getVertex(current).adjacentVertices.find(id => !vertices.includes(id));
+        if (!next) throw new Error(`No path of ${length} edges from ${startVertexId}`);
+        edges.push(boardTopology.getEdgeBetween(current, next));
+        vertices.push(next);
+    }
+    return { vertices, edges };
+}
+
+module.exports = {
+    createPlayer,
+    createGameState,
+    walkPath
+};
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const boardTopology = require('../src/utils/boardTopology');
+const { calculateLongestRoad, determineLongestRoadHolder } = require('../src/utils/longestRoad');
+const { createPlayer, createGameState, walkPath } = require('./helpers');
+
+const toRoads = edges => edges.map(edgeId => ({ edgeId }));
+
+test('a straight road counts every segment', () => {
+    const { edges } = walkPath('v-9', 6);
+    const ann = createPlayer('Ann', { roads: toRoads(edges) });
+
+    assert.equal(calculateLongestRoad(createGameState([ann]), ann), 6);
+    assert.equal(calculateLongestRoad(createGameState([ann]), createPlayer('Bob')), 0);
+});
+
+test('a branch counts only its longest arm', () => {
+    const { vertices, edges } = walkPath('v-9', 4);
+    // A one-segment spur off the second vertex
+    const spurVertex = boardTopology.getVertex(vertices[1]).adjacentVertices
+        .find(vertexId => !vertices.includes(vertexId));
+    const spur = boardTopology.getEdgeBetween(vertices[1], spurVertex);
+    const ann = createPlayer('Ann', { roads: toRoads([...edges, spur]) });
+
+    assert.equal(calculateLongestRoad(createGameState([ann]), ann), 4);
+});
+
+test('a loop around a tile counts each segment once', () => {
+    const tile = boardTopology.getTile('tile-4');
+    const ann = createPlayer('Ann', { roads: toRoads(tile.edges) });
+
+    assert.equal(calculateLongestRoad(createGameState([ann]), ann), 6);
+});
+
+test("an opponent's settlement cuts the road", () => {
+    const { vertices, edges } = walkPath('v-9', 6);
+    const ann = createPlayer('Ann', { roads: toRoads(edges) });
+    const bob = createPlayer('Bob', { settlements: [{ vertexId: vertices[2] }] });
+
+    assert.equal(calculateLongestRoad(createGameState([ann, bob]), ann), 4);
+
+    // The player's own buildings never cut their road
+    bob.settlements = [];
+    ann.settlements = [{ vertexId: vertices[2] }];
+    assert.equal(calculateLongestRoad(createGameState([ann, bob]), ann), 6);
+});
+
+test('the Longest Road card needs at least five segments', () => {
+    const ann = createPlayer('Ann', { roads: toRoads(walkPath('v-9', 4).edges) });
+    const gameState = createGameState([ann]);
+
+    assert.equal(determineLongestRoadHolder(gameState), null);
+    assert.equal(ann.longestRoadLength, 4);
+
+    ann.roads = toRoads(walkPath('v-9', 5).edges);
+    assert.equal(determineLongestRoadHolder(gameState), 'Ann');
+});
+
+test('the holder keeps the card on a tie and loses it when overtaken', () => {
+    const ann = createPlayer('Ann', { roads: toRoads(walkPath('v-9', 5).edges) });
+    const bob = createPlayer('Bob', { roads: toRoads(walkPath('v-45', 5).edges) });
+    const gameState = createGameState([ann, bob], { longestRoad: { playerName: 'Ann', length: 5 } });
+
+    assert.equal(determineLongestRoadHolder(gameState), 'Ann');
+
+    bob.roads = toRoads(walkPath('v-45', 6).edges);
+    assert.equal(determineLongestRoadHolder(gameState), 'Bob');
+});
+
+test('nobody holds the card when the longest roads tie without a holder', () => {
+    const ann = createPlayer('Ann', { roads: toRoads(walkPath('v-9', 5).edges) });
+    const bob = createPlayer('Bob', { roads: toRoads(walkPath('v-45', 5).edges) });
+
+    assert.equal(determineLongestRoadHolder(createGameState([ann, bob])), null);
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const boardTopology = require('../src/utils/boardTopology');
+const {
+    getBuildingAt,
+    getRoadOwner,
+    canAfford,
+    extendsNetworkFrom,
+    validateSettlementPlacement,
+    validateRoadPlacement,
+    validateCityPlacement
+} = require('../src/utils/placementRules');
+const { createPlayer, createGameState } = require('./helpers');
+
+const settlementCards = { wood: 1, brick: 1, wool: 1, grain: 1, ore: 0 };
+
+test('getBuildingAt finds settlements and cities with their owner', () => {
+    const ann = createPlayer('Ann', { settlements: [{ vertexId: 'v-9' }], cities: [{ vertexId: 'v-20' }] });
+    const gameState = createGameState([ann]);
+
+    assert.deepEqual(getBuildingAt(gameState, 'v-9'), { player: ann, type: 'settlement' });
+    assert.deepEqual(getBuildingAt(gameState, 'v-20'), { player: ann, type: 'city' });
+    assert.equal(getBuildingAt(gameState, 'v-0'), null);
+});
+
+test('getRoadOwner and canAfford', () => {
+    const ann = createPlayer('Ann', { roads: [{ edgeId: 'e-19' }], resources: { ...settlementCards } });
+    const gameState = createGameState([ann]);
+
+    assert.equal(getRoadOwner(gameState, 'e-19'), ann);
+    assert.equal(getRoadOwner(gameState, 'e-0'), null);
+    assert.equal(canAfford(ann, 'SETTLEMENT'), true);
+    assert.equal(canAfford(ann, 'CITY'), false);
+});
+
+test('setup settlements need room but no road or cards', () => {
+    const ann = createPlayer('Ann');
+    const bob = createPlayer('Bob', { settlements: [{ vertexId: 'v-9' }] });
+    const gameState = createGameState([ann, bob]);
+
+    assert.equal(validateSettlementPlacement(gameState, ann, 'v-30', { isSetup: true }), null);
+    assert.match(validateSettlementPlacement(gameState, ann, 'v-9', { isSetup: true }), /already has a settlement owned by Bob/);
+    assert.match(validateSettlementPlacement(gameState, ann, 'v-19', { isSetup: true }), /at least 2 intersections apart/);
+    assert.match(validateSettlementPlacement(gameState, ann, 'v-nowhere', { isSetup: true }), /Unknown vertex/);
+});
+
+test('settlements after setup need a connected road and the cards', () => {
+    const ann = createPlayer('Ann', { roads: [{ edgeId: 'e-19' }] });
+    const gameState = createGameState([ann]);
+
+    assert.match(validateSettlementPlacement(gameState, ann, 'v-19'), /Not enough resources/);
+    ann.resources = { ...settlementCards };
+    assert.equal(validateSettlementPlacement(gameState, ann, 'v-19'), null);
+    assert.match(validateSettlementPlacement(gameState, ann, 'v-40'), /connect to one of your roads/);
+});
+
+test('settlements are capped per player', () => {
+    const ann = createPlayer('Ann', {
+        settlements: ['v-0', 'v-2', 'v-4', 'v-6', 'v-12'].map(vertexId => ({ vertexId }))
+    });
+    const gameState = createGameState([ann]);
+
+    assert.match(validateSettlementPlacement(gameState, ann, 'v-40', { isSetup: true }), /more than 5 settlements/);
+});
+
+test('extendsNetworkFrom follows own buildings and roads, not opponents', () => {
+    const ann = createPlayer('Ann', { settlements: [{ vertexId: 'v-9' }], roads: [{ edgeId: 'e-19' }] });
+    const bob = createPlayer('Bob', { settlements: [{ vertexId: 'v-30' }] });
+    const gameState = createGameState([ann, bob]);
+
+    assert.equal(extendsNetworkFrom(gameState, ann, 'v-9'), true);
+    assert.equal(extendsNetworkFrom(gameState, ann, 'v-19'), true);
+    assert.equal(extendsNetworkFrom(gameState, ann, 'v-30'), false);
+    assert.equal(extendsNetworkFrom(gameState, ann, 'v-40'), false);
+
+    // An opponent's building cuts the road there
+    bob.settlements.push({ vertexId: 'v-19' });
+    assert.equal(extendsNetworkFrom(gameState, ann, 'v-19'), false);
+});
+
+test('roads must connect, be free and be paid for unless free', () => {
+    const ann = createPlayer('Ann', { settlements: [{ vertexId: 'v-9' }] });
+    const bob = createPlayer('Bob', { roads: [{ edgeId: 'e-11' }] });
+    const gameState = createGameState([ann, bob]);
+
+    assert.equal(validateRoadPlacement(gameState, ann, 'e-19', { isSetup: true }), null);
+    assert.equal(validateRoadPlacement(gameState, ann, 'e-19', { free: true }), null);
+    assert.match(validateRoadPlacement(gameState, ann, 'e-19'), /Not enough resources to build a road/);
+    assert.match(validateRoadPlacement(gameState, ann, 'e-11', { isSetup: true }), /already has a road owned by Bob/);
+    assert.match(validateRoadPlacement(gameState, ann, 'e-0', { isSetup: true }), /must connect/);
+    assert.match(validateRoadPlacement(gameState, ann, 'e-nowhere'), /Unknown edge/);
+
+    ann.resources = { ...ann.resources, wood: 1, brick: 1 };
+    assert.equal(validateRoadPlacement(gameState, ann, 'e-19'), null);
+});
+
+test('roads are capped per player', () => {
+    const ann = createPlayer('Ann', {
+        settlements: [{ vertexId: 'v-9' }],
+        roads: boardTopology.getAllEdgeIds().slice(40, 55).map(edgeId => ({ edgeId }))
+    });
+    const gameState = createGameState([ann]);
+
+    assert.match(validateRoadPlacement(gameState, ann, 'e-19', { free: true }), /more than 15 roads/);
+});
+
+test('cities upgrade an own settlement and cost grain and ore', () => {
+    const ann = createPlayer('Ann', { settlements: [{ vertexId: 'v-9' }] });
+    const bob = createPlayer('Bob', { settlements: [{ vertexId: 'v-30' }] });
+    const gameState = createGameState([ann, bob]);
+
+    assert.match(validateCityPlacement(gameState, ann, 'v-9'), /Not enough resources to build a city/);
+    ann.resources = { ...ann.resources, grain: 2, ore: 3 };
+    assert.equal(validateCityPlacement(gameState, ann, 'v-9'), null);
+    assert.match(validateCityPlacement(gameState, ann, 'v-30'), /upgrading one of your settlements/);
+    assert.match(validateCityPlacement(gameState, ann, 'v-nowhere'), /Unknown vertex/);
+});
@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getOfferError, getTradeRecipients, exchangeCards } = require('../src/utils/playerTrades');
+const { createPlayer, createGameState } = require('./helpers');
+
+function createTable() {
+    const ann = createPlayer('Ann', { resources: { wood: 2, brick: 1, wool: 0, grain: 0, ore: 0 } });
+    const bob = createPlayer('Bob', { resources: { wood: 0, brick: 0, wool: 1, grain: 0, ore: 3 } });
+    const cat = createPlayer('Cat');
+    return { ann, bob, cat, gameState: createGameState([ann, bob, cat]) };
+}
+
+test('offers need cards on both sides, different resources and cards in hand', () => {
+    const { ann } = createTable();
+
+    assert.equal(getOfferError(ann, { wood: 1 }, { ore: 1 }), null);
+    assert.equal(getOfferError(ann, {}, { ore: 1 }), 'A trade needs cards on both sides');
+    assert.equal(getOfferError(ann, { wood: 1 }, { ore: 0 }), 'A trade needs cards on both sides');
+    assert.equal(getOfferError(ann, { wood: 1 }, { wood: 1 }), 'You cannot offer and ask for the same resource');
+    assert.equal(getOfferError(ann, { wood: 3 }, { ore: 1 }), 'You do not have the cards you are offering');
+});
+
+test('the current player offers to everyone or to the players they name', () => {
+    const { gameState } = createTable();
+    const [ann] = gameState.players;
+
+    assert.deepEqual(getTradeRecipients(gameState, ann), { recipients: ['Bob', 'Cat'] });
+    assert.deepEqual(getTradeRecipients(gameState, ann, ['Cat', 'Cat']), { recipients: ['Cat'] });
+    assert.deepEqual(getTradeRecipients(gameState, ann, []), { error: 'Name at least one player to trade with' });
+    assert.deepEqual(getTradeRecipients(gameState, ann, ['Ann']), { error: 'Ann is not another player in this game' });
+});
+
+test('everyone else can only offer to the current player', () => {
+    const { gameState, bob } = createTable();
+
+    assert.deepEqual(getTradeRecipients(gameState, bob), { recipients: ['Ann'] });
+    assert.deepEqual(getTradeRecipients(gameState, bob, ['Ann']), { recipients: ['Ann'] });
+    assert.deepEqual(getTradeRecipients(gameState, bob, ['Cat']), { error: 'You can only trade with Ann during their turn' });
+});
+
+test('players who left the game are never offered trades', () => {
+    const { gameState, ann, cat } = createTable();
+    cat.hasLeft = true;
+
+    assert.deepEqual(getTradeRecipients(gameState, ann), { recipients: ['Bob'] });
+    assert.deepEqual(getTradeRecipients(gameState, ann, ['Cat']), { error: 'Cat is not another player in this game' });
+});
+
+test('exchangeCards swaps both sides of the offer', () => {
+    const { ann, bob } = createTable();
+
+    assert.equal(exchangeCards(ann, bob, { offering: { wood: 2 }, requesting: { ore: 2, wool: 1 } }), null);
+    assert.deepEqual(ann.resources, { wood: 0, brick: 1, wool: 1, grain: 0, ore: 2 });
+    assert.deepEqual(bob.resources, { wood: 2, brick: 0, wool: 0, grain: 0, ore: 1 });
+});
+
+test('exchangeCards moves nothing when either side is short', () => {
+    const { ann, bob } = createTable();
+    const before = [structuredClone(ann.resources), structuredClone(bob.resources)];
+
+    assert.equal(exchangeCards(ann, bob, { offering: { brick: 2 }, requesting: { ore: 1 } }), 'Ann no longer has the cards offered');
+    assert.equal(exchangeCards(ann, bob, { offering: { wood: 1 }, requesting: { ore: 4 } }), 'Bob does not have the cards requested');
+    assert.deepEqual([ann.resources, bob.resources], before);
+});
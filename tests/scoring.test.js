@@ -0,0 +1,79 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    calculatePoints,
+    updatePoints,
+    getScoreBreakdown,
+    hasWon,
+    getStandings,
+    determineLargestArmyHolder
+} = require('../src/utils/scoring');
+const { createPlayer, createGameState } = require('./helpers');
+
+const at = (...vertexIds) => vertexIds.map(vertexId => ({ vertexId }));
+
+test('public points count buildings and bonus cards, not victory point cards', () => {
+    const ann = createPlayer('Ann', {
+        settlements: at('v-0', 'v-2'),
+        cities: at('v-9'),
+        developmentCards: [{ type: 'victoryPoint' }]
+    });
+    const gameState = createGameState([ann], {
+        longestRoad: { playerName: 'Ann', length: 5 },
+        largestArmy: { playerName: 'Ann', knights: 3 }
+    });
+
+    assert.equal(calculatePoints(gameState, ann), 2 + 2 + 2 + 2);
+    updatePoints(gameState);
+    assert.equal(ann.points, 8);
+});
+
+test('the breakdown reveals victory point cards in the total', () => {
+    const ann = createPlayer('Ann', {
+        settlements: at('v-0'),
+        cities: at('v-9', 'v-20'),
+        developmentCards: [{ type: 'victoryPoint' }, { type: 'knight' }, { type: 'victoryPoint' }]
+    });
+    const gameState = createGameState([ann], { largestArmy: { playerName: 'Ann', knights: 3 } });
+
+    assert.deepEqual(getScoreBreakdown(gameState, ann), {
+        settlements: 1,
+        cities: 4,
+        longestRoad: 0,
+        largestArmy: 2,
+        victoryPointCards: 2,
+        total: 9
+    });
+    assert.equal(hasWon(gameState, ann), false);
+
+    ann.developmentCards.push({ type: 'victoryPoint' });
+    assert.equal(hasWon(gameState, ann), true);
+});
+
+test('standings are sorted by total, highest first', () => {
+    const ann = createPlayer('Ann', { settlements: at('v-0') });
+    const bob = createPlayer('Bob', { cities: at('v-9') });
+    const cat = createPlayer('Cat');
+
+    assert.deepEqual(getStandings(createGameState([ann, bob, cat])).map(s => [s.name, s.total]),
+        [['Bob', 2], ['Ann', 1], ['Cat', 0]]);
+});
+
+test('Largest Army needs three knights and only moves when strictly beaten', () => {
+    const ann = createPlayer('Ann');
+    const bob = createPlayer('Bob');
+    const gameState = createGameState([ann, bob]);
+
+    ann.playedCards.knight = 2;
+    assert.equal(determineLargestArmyHolder(gameState), null);
+
+    ann.playedCards.knight = 3;
+    assert.equal(determineLargestArmyHolder(gameState), 'Ann');
+
+    gameState.largestArmy = { playerName: 'Ann', knights: 3 };
+    bob.playedCards.knight = 3;
+    assert.equal(determineLargestArmyHolder(gameState), 'Ann');
+
+    bob.playedCards.knight = 4;
+    assert.equal(determineLargestArmyHolder(gameState), 'Bob');
+});